@@ -0,0 +1,280 @@
+var LectureOverlay = (function() {
+
+    'use strict';
+
+    /**
+     * Name and version of the postMessage protocol between the lecture and
+     * its overlays (must match lecture.js).
+     */
+    var protocol = 'lecture-overlay';
+    var version = 1;
+
+    /**
+     * Origin of the lecture page, null until connected.
+     */
+    var origin = null;
+
+    var queue = [];
+    var callbacks = {};
+    var listeners = {};
+    var count = 0;
+
+    /**
+     * Get the origin of the page that embeds this overlay.
+     *
+     * @return {string} Origin of the referrer, or null if unknown.
+     */
+    function getReferrerOrigin() {
+
+        try {
+            return new window.URL(document.referrer).origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send a request to the lecture, or queue it until connected.
+     *
+     * @param {string} type - Request type.
+     * @param {*} [data] - Request data.
+     * @param {function} [callback] - Called with (error, result) once the lecture responds.
+     */
+    function post(type, data, callback) {
+
+        var message = {protocol: protocol, version: version, type: type, data: data};
+
+        if (callback) {
+            message.id = ++count;
+            callbacks[message.id] = callback;
+        }
+
+        if (origin === null) {
+            queue.push(message);
+        } else {
+            window.parent.postMessage(message, origin);
+        }
+    }
+
+    /**
+     * Call the listeners of an event.
+     *
+     * @param {string} type - Event type.
+     * @param {object} data - Event data.
+     */
+    function emit(type, data) {
+
+        (listeners[type] || []).slice().forEach(function(listener) {
+            listener(data);
+        });
+    }
+
+    /**
+     * Handle a message from the lecture.
+     *
+     * @param {object} event - Message event.
+     */
+    function receive(event) {
+
+        var message = event.data;
+
+        if (event.source !== window.parent || !message || message.protocol !== protocol ||
+            origin === null || (origin !== '*' && event.origin !== origin)) {
+            return;
+        }
+
+        var callback = callbacks[message.id];
+
+        switch (message.type) {
+            case 'response':
+            case 'error':
+                if (callback) {
+                    delete callbacks[message.id];
+                    callback(message.type === 'error' ? new Error(message.data.message) : null, message.data);
+                }
+                break;
+            case 'ready':
+                emit('ready', message.data);
+                if (message.data.shown) {
+                    emit('show', {});
+                }
+                break;
+            case 'show':
+            case 'hide':
+                emit(message.type, message.data);
+                break;
+        }
+    }
+
+    window.addEventListener('message', receive);
+
+    /* Connect to the embedding page, unless connect is called first. */
+    setTimeout(function() {
+
+        if (origin === null && getReferrerOrigin()) {
+            LectureOverlay.connect(getReferrerOrigin());
+        }
+    }, 0);
+
+    /**
+     * Client of the lecture overlay bridge, for overlay documents that may be
+     * hosted on a different origin than the lecture. Include this script in
+     * the overlay document:
+     *
+     * @example
+     * <script src="lecture-overlay.js"></script>
+     * <button onclick="LectureOverlay.doTransition({target: 'intro', time: 0})">Restart</button>
+     *
+     * @namespace LectureOverlay
+     */
+    var LectureOverlay = {
+
+        /**
+         * Protocol version implemented by this client.
+         *
+         * @memberof LectureOverlay
+         */
+        version: version,
+
+        /**
+         * Connect to the lecture, sending the queued requests. This is done
+         * automatically with the origin of the embedding page, when the
+         * browser provides it.
+         *
+         * @memberof LectureOverlay
+         *
+         * @param {string} lectureOrigin - Origin of the lecture page (e.g. 'https://lectures.example.edu').
+         */
+        connect: function(lectureOrigin) {
+
+            var connected = origin !== null;
+
+            origin = lectureOrigin;
+
+            if (!connected) {
+                post('hello');
+            }
+
+            queue.splice(0).forEach(function(message) {
+                window.parent.postMessage(message, origin);
+            });
+        },
+
+        /**
+         * Request an overlay transition.
+         *
+         * @see Overlay#doTransition
+         * @memberof LectureOverlay
+         *
+         * @param {(object|object[])} [options] - Overlay transition configuration options.
+         * @param {function} [callback] - Called with (error) once the transition is done.
+         */
+        doTransition: function(options, callback) {
+
+            post('transition', options, callback);
+        },
+
+        /**
+         * Set a lecture variable.
+         *
+         * @see Lecture#set
+         * @memberof LectureOverlay
+         *
+         * @param {string} key - Variable name.
+         * @param {*} value - Variable value.
+         * @param {function} [callback] - Called with (error) once the variable is set.
+         */
+        set: function(key, value, callback) {
+
+            post('set', {key: key, value: value}, callback);
+        },
+
+        /**
+         * Get a lecture variable.
+         *
+         * @see Lecture#get
+         * @memberof LectureOverlay
+         *
+         * @param {string} key - Variable name.
+         * @param {function} callback - Called with (error, value).
+         */
+        get: function(key, callback) {
+
+            post('get', {key: key}, callback);
+        },
+
+        /**
+         * Get the lecture state.
+         *
+         * @see Lecture#getState
+         * @memberof LectureOverlay
+         *
+         * @param {function} callback - Called with (error, {video, time, state}). The state is
+         *                              undefined for overlays with an opaque origin.
+         */
+        getState: function(callback) {
+
+            post('state', null, callback);
+        },
+
+        /**
+         * Get the current time of the current video.
+         *
+         * @memberof LectureOverlay
+         *
+         * @param {function} callback - Called with (error, time).
+         */
+        getTime: function(callback) {
+
+            post('time', null, callback);
+        },
+
+        /**
+         * Ask the lecture to resize the overlay iframe.
+         *
+         * @memberof LectureOverlay
+         *
+         * @param {object} [size] - Size in pixels (default is the document height).
+         * @param {number} [size.width] - Width, or undefined to fill the overlay.
+         * @param {number} [size.height] - Height, or undefined to fill the overlay.
+         * @param {function} [callback] - Called with (error) once resized.
+         */
+        resize: function(size, callback) {
+
+            post('resize', size || {height: document.documentElement.scrollHeight}, callback);
+        },
+
+        /**
+         * Add an event listener. Events are ready (connected to the lecture),
+         * show and hide (the overlay was shown or hidden).
+         *
+         * @memberof LectureOverlay
+         *
+         * @param {string} type - Event type.
+         * @param {function} listener - Called with the event data.
+         */
+        on: function(type, listener) {
+
+            listeners[type] = listeners[type] || [];
+            listeners[type].push(listener);
+        },
+
+        /**
+         * Remove an event listener.
+         *
+         * @memberof LectureOverlay
+         *
+         * @param {string} type - Event type.
+         * @param {function} listener - Listener added with on.
+         */
+        off: function(type, listener) {
+
+            listeners[type] = (listeners[type] || []).filter(function(fn) {
+                return fn !== listener;
+            });
+        },
+    };
+
+    return LectureOverlay;
+
+}());
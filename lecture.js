@@ -10,9 +10,11 @@ var Lecture = (function() {
             muted: false,
             markers: true,
             controls: 'show',
+            seek: 'skip',
             transition: {
                 play: true,
                 duration: 0,
+                required: false,
             },
         },
         overlay: {
@@ -23,8 +25,64 @@ var Lecture = (function() {
                 hide: true,
             },
         },
+        preload: {
+            ahead: 10,
+            budget: 2,
+        },
+        effect: {
+            name: 'none',
+            duration: 0.5,
+            color: 'black',
+            audio: false,
+        },
+    };
+
+    /**
+     * Default keyboard bindings: action name to list of keys (as in
+     * KeyboardEvent.key).
+     */
+    var defaultKeys = {
+        toggle:         [' ', 'k'],
+        jumpBackward:   ['j'],
+        jumpForward:    ['l'],
+        seekBackward:   ['ArrowLeft'],
+        seekForward:    ['ArrowRight'],
+        mute:           ['m'],
+        fullscreen:     ['f'],
+        captions:       ['c'],
+        slower:         ['<'],
+        faster:         ['>'],
+        nextMarker:     ['n'],
+        previousMarker: ['p'],
+        percent:        ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+        help:           ['?'],
+    };
+
+    /**
+     * Keyboard actions descriptions, for the help overlay.
+     */
+    var keyDescriptions = {
+        toggle:         'Play / pause',
+        jumpBackward:   'Back 10 seconds',
+        jumpForward:    'Forward 10 seconds',
+        seekBackward:   'Back 5 seconds',
+        seekForward:    'Forward 5 seconds',
+        mute:           'Mute / unmute',
+        fullscreen:     'Full screen',
+        captions:       'Captions on / off',
+        slower:         'Decrease speed',
+        faster:         'Increase speed',
+        nextMarker:     'Next marker',
+        previousMarker: 'Previous marker',
+        percent:        'Jump to 0% - 90%',
+        help:           'Show / hide this help',
     };
 
+    /**
+     * Playback rates available in the player.
+     */
+    var playbackRates = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
     /**
      * Video MIME types with file extensions.
      */
@@ -32,6 +90,60 @@ var Lecture = (function() {
         'video/mp4': /\.(mp4|m4a|m4p|m4b|m4r|m4v)$/i,
         'video/ogg': /\.(ogg|ogv|oga|ogx|ogm|spx|opus)$/i,
         'video/webm': /\.(webm)$/i,
+        'application/x-mpegURL': /\.(m3u8)$/i,
+        'application/dash+xml': /\.(mpd)$/i,
+    };
+
+    /**
+     * Registered source handlers (see Lecture.registerSourceHandler).
+     */
+    var sourceHandlers = [];
+
+    /**
+     * Name and version of the postMessage protocol between the lecture and
+     * its overlays (see lecture-overlay.js).
+     */
+    var bridgeProtocol = 'lecture-overlay';
+    var bridgeVersion = 1;
+
+    /**
+     * xAPI verbs for recorded analytics events.
+     */
+    var xapiVerbs = {
+        play:        'https://w3id.org/xapi/video/verbs/played',
+        pause:       'https://w3id.org/xapi/video/verbs/paused',
+        seek:        'https://w3id.org/xapi/video/verbs/seeked',
+        ended:       'http://adlnet.gov/expapi/verbs/completed',
+        transition:  'http://adlnet.gov/expapi/verbs/progressed',
+        overlayshow: 'http://adlnet.gov/expapi/verbs/experienced',
+        hidden:      'http://adlnet.gov/expapi/verbs/suspended',
+        visible:     'http://adlnet.gov/expapi/verbs/resumed',
+        start:       'http://adlnet.gov/expapi/verbs/initialized',
+        stop:        'http://adlnet.gov/expapi/verbs/terminated',
+    };
+
+    /**
+     * Default lecture state persistence adapter, backed by localStorage.
+     */
+    var localStorageAdapter = {
+
+        load: function(key) {
+
+            try {
+                return JSON.parse(window.localStorage.getItem(key));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        save: function(key, state) {
+
+            try {
+                window.localStorage.setItem(key, JSON.stringify(state));
+            } catch (error) {
+                /* Storage is full or disabled: there is nothing else to do. */
+            }
+        },
     };
 
     /**
@@ -123,6 +235,81 @@ var Lecture = (function() {
         return (hours ? hours + hourSep : '') + minutes + minuteSep + seconds;
     }
 
+    /**
+     * Format an amount of seconds as a WebVTT timestamp, hh:mm:ss.ttt
+     *
+     * @param {number} time - Number of seconds.
+     *
+     * @return {string} Formatted string.
+     */
+    function formatTimestamp(time) {
+
+        var roundTime = Math.round(time * 1000);
+
+        var millis  = roundTime % 1000;
+        var seconds = Math.floor(roundTime / 1000) % 60;
+        var minutes = Math.floor(roundTime / 60000) % 60;
+        var hours   = Math.floor(roundTime / 3600000);
+
+        function pad(value, length) {
+            return ('00' + value).slice(-length);
+        }
+
+        return pad(hours, 2) + ':' + pad(minutes, 2) + ':' + pad(seconds, 2) + '.' + pad(millis, 3);
+    }
+
+    /**
+     * Fetch and parse a JSON document.
+     *
+     * @param {string} uri - Document URI.
+     * @param {function} callback - Called with (error, data) when done.
+     */
+    function loadJSON(uri, callback) {
+
+        var request = new XMLHttpRequest();
+
+        request.addEventListener('load', function() {
+
+            if (this.status < 200 || this.status >= 300) {
+                callback(new Error('Could not load "' + uri + '" (' + this.status + ')'));
+                return;
+            }
+
+            var data;
+
+            try {
+                data = JSON.parse(this.responseText);
+            } catch (error) {
+                callback(error);
+                return;
+            }
+
+            callback(null, data);
+        });
+
+        request.addEventListener('error', function() {
+
+            callback(new Error('Could not load "' + uri + '"'));
+        });
+
+        request.open('GET', uri);
+        request.send();
+    }
+
+    /**
+     * Generate a random (version 4) UUID.
+     *
+     * @return {string} New UUID.
+     */
+    function uuid() {
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+
+            var r = Math.floor(Math.random() * 16);
+            return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+        });
+    }
+
     /**
      * Create an HTML element.
      *
@@ -159,77 +346,189 @@ var Lecture = (function() {
     }
 
     /**
-     * Generate a mouseDown listener function that supports mouse movements
-     * outside the target while the mouse is down.
+     * Event emitter methods, shared by Lecture, Video and Overlay.
      *
-     * @param {function} mouseDownFn - What to do on mouseDown.
-     * @param {function} mouseMoveFn - What to do on mouseMove.
-     * @param {function} mouseUpFn - What to do on mouseUp.
-     *
-     * @return {function} mouseDown listener.
+     * Events emitted by a Video or an Overlay are also emitted by its parent
+     * Lecture. Every event carries its type, source component, target
+     * component (if any) and time (position of the source or current video).
      */
-    function mouseDownHandler(mouseDownFn, mouseMoveFn, mouseUpFn) {
+    var emitterMethods = {
+
+        /**
+         * Add an event listener.
+         *
+         * @param {string} type - Event type (videochange, transition, overlayshow, overlayhide, play,
+         *                        pause, seek, ended, volumechange, ratechange, fullscreenchange,
+         *                        captionschange, quizsubmit, qualitychange, variablechange,
+         *                        hotspotclick).
+         * @param {function} listener - Called with the event object.
+         *
+         * @return {object} This component, to allow method chaining.
+         */
+        on: function(type, listener) {
+
+            this.listeners[type] = this.listeners[type] || [];
+            this.listeners[type].push(listener);
+
+            return this;
+        },
 
-        var active = false;
+        /**
+         * Remove an event listener.
+         *
+         * @param {string} type - Event type.
+         * @param {function} listener - Listener added with on or once.
+         *
+         * @return {object} This component, to allow method chaining.
+         */
+        off: function(type, listener) {
+
+            this.listeners[type] = (this.listeners[type] || []).filter(function(fn) {
+                return fn !== listener && fn.listener !== listener;
+            });
 
-        function leftButtonPressed(event) {
+            return this;
+        },
 
-            if ('buttons' in event) {
-                return event.buttons === 1;
+        /**
+         * Add an event listener that is removed after its first call.
+         *
+         * @param {string} type - Event type.
+         * @param {function} listener - Called with the event object.
+         *
+         * @return {object} This component, to allow method chaining.
+         */
+        once: function(type, listener) {
+
+            var that = this;
+
+            function wrapper(event) {
+                /* jshint validthis: true */
+                that.off(type, wrapper);
+                listener.call(this, event);
             }
 
-            if ('which' in event) {
-                return event.which === 1;
-            }
+            wrapper.listener = listener;
+
+            return this.on(type, wrapper);
+        },
+    };
+
+    /**
+     * Emit an event from a component, and from its parent lecture.
+     *
+     * @param {(Lecture|Video|Overlay)} component - Emitting component.
+     * @param {string} type - Event type.
+     * @param {object} [data] - Event payload (source, target, time, ...).
+     *
+     * @return {object} The emitted event.
+     */
+    function emit(component, type, data) {
+
+        var event = data || {};
+        var lecture = component.lecture || component;
+
+        event.type = type;
+
+        if (!event.hasOwnProperty('source')) {
+            event.source = component;
+        }
 
-            return event.button === 1;
+        if (!event.hasOwnProperty('time')) {
+            event.time = lecture.currentVideo ? lecture.currentVideo.video.currentTime : 0;
         }
 
-        function mouseDown(event) {
+        function call(target) {
 
-            if (!leftButtonPressed(event) || active) {
-                return;
-            }
+            (target.listeners[type] || []).slice().forEach(function(listener) {
+                listener.call(target, event);
+            });
+        }
 
-            active = true;
-            mouseDownFn(event);
+        call(component);
 
-            window.addEventListener('mousemove', mouseMove);
-            window.addEventListener('mouseup', mouseUp);
+        if (lecture !== component) {
+            call(lecture);
         }
 
-        function mouseMove(event) {
+        return event;
+    }
+
+    /**
+     * Generate a pointerDown listener function that supports pointer movements
+     * outside the target while the pointer is down (mouse, touch or pen).
+     *
+     * The pointer is captured by the target, so all its moves are delivered
+     * there until it is released, or the browser cancels it (e.g. to scroll).
+     *
+     * @param {function} pointerDownFn - What to do on pointerDown.
+     * @param {function} pointerMoveFn - What to do on pointerMove.
+     * @param {function} pointerUpFn - What to do on pointerUp (without event
+     *                                 when the pointer was cancelled).
+     *
+     * @return {function} pointerDown listener.
+     */
+    function pointerDownHandler(pointerDownFn, pointerMoveFn, pointerUpFn) {
+
+        var active = null;
+        var target;
+
+        function pointerDown(event) {
 
-            if (!leftButtonPressed(event)) {
-                mouseUp();
+            if (active !== null || !event.isPrimary || event.button !== 0) {
                 return;
             }
 
-            mouseMoveFn(event);
+            active = event.pointerId;
+            target = event.currentTarget;
+
+            if (target.setPointerCapture) {
+                target.setPointerCapture(active);
+            }
+
+            target.addEventListener('pointermove', pointerMove);
+            target.addEventListener('pointerup', pointerUp);
+            target.addEventListener('pointercancel', pointerUp);
+            target.addEventListener('lostpointercapture', pointerUp);
+
+            pointerDownFn(event);
+        }
+
+        function pointerMove(event) {
+
+            if (event.pointerId === active) {
+                pointerMoveFn(event);
+            }
         }
 
-        function mouseUp(event) {
+        function pointerUp(event) {
+
+            if (event.pointerId !== active) {
+                return;
+            }
 
-            window.removeEventListener('mousemove', mouseMove);
-            window.removeEventListener('mouseup', mouseUp);
+            target.removeEventListener('pointermove', pointerMove);
+            target.removeEventListener('pointerup', pointerUp);
+            target.removeEventListener('pointercancel', pointerUp);
+            target.removeEventListener('lostpointercapture', pointerUp);
 
-            active = false;
-            mouseUpFn(event);
+            active = null;
+            pointerUpFn(event.type === 'pointerup' ? event : undefined);
         }
 
-        return mouseDown;
+        return pointerDown;
     }
 
     /**
-     * Compute the mouse position relative to a container.
+     * Compute the pointer position relative to a container.
      *
-     * @param {number} pageX - Horizontal coordinate of the mouse event.
-     * @param {number} pageY - Vertical coordinate of the mouse event.
+     * @param {number} pageX - Horizontal coordinate of the pointer event.
+     * @param {number} pageY - Vertical coordinate of the pointer event.
      * @param {object} container - The HTML container.
      *
      * @return {{x: number, y: number}} The relative positions.
      */
-    function getRelativeMousePosition(pageX, pageY, container) {
+    function getRelativePointerPosition(pageX, pageY, container) {
 
         var bounds = container.getBoundingClientRect();
 
@@ -240,1183 +539,6315 @@ var Lecture = (function() {
     }
 
     /**
-     * Create a Video component.
+     * Create a transition Scheduler.
+     *
+     * A scheduler holds the transitions of a video, and fires them as the
+     * video position goes through them. The position is checked on every
+     * frame (and whenever update is called), so transitions don't depend on
+     * TextTrack cue events, that can be missed when seeking or playing fast.
+     *
+     * A transition has a start and an end time. Zero-length transitions are
+     * fired once when reached, and ranged transitions are entered when
+     * reached and exited when left.
+     *
+     * A scheduler only depends on its options, so it can be driven by a fake
+     * clock and position for testing.
+     *
+     * @example
+     * var position = 0;
+     * var frames = [];
+     * var scheduler = new Lecture.Scheduler({
+     *     position: function() { return position; },
+     *     enter: function(transition) { console.log('enter', transition.start); },
+     *     exit: function(transition) { console.log('exit', transition.start); },
+     *     clock: {
+     *         request: function(callback) { return frames.push(callback); },
+     *         cancel: function(handle) { frames[handle - 1] = null; },
+     *     },
+     * });
      *
-     * @see Lecture#addVideo
      * @constructor
-     * @name Video
+     * @name Scheduler
      *
-     * @param {Lecture} lecture - Parent lecture.
-     * @param {string}  name - Video unique name.
-     * @param {object}  options - Video configuration options.
+     * @param {object}   options - Scheduler configuration options.
+     * @param {function} options.position - Returns the current position, in seconds.
+     * @param {function} options.enter - Called with each transition reached. If it returns
+     *                                   false, the rest are left for the next update.
+     * @param {function} options.exit - Called with each ranged transition left.
+     * @param {object}   [options.clock] - Frame clock, with request(callback) and cancel(handle)
+     *                                     methods (default is requestAnimationFrame).
+     * @param {string}   [options.seek='skip'] - What to do with transitions a seek jumps over:
+     *                                           'fire' the first one, or 'skip' them all.
      */
-    function Video(lecture, name, options) {
-
-        lecture.videos[name] = this;
+    function Scheduler(options) {
 
-        this.lecture = lecture;
-        this.name = name;
         this.options = options;
+        this.transitions = [];
+        this.active = [];
 
         this.internal = {};
-        this.internal.deferredOverlayMarkers = [];
-
-        this.data = {};
-        this.data.duration = 0;
-        this.data.currentTime = 0;
-
-        this.container = createElement('div', 'video-container');
-        this.container.video = this;
-        addVideoContainerListeners(this);
-
-        createVideoElement(this);
-        createVideoControls(this);
-
-        lecture.container.appendChild(this.container);
+        this.internal.position = 0;
+        this.internal.inclusive = true;
+        this.internal.fired = [];
+        this.internal.handle = null;
+        this.internal.clock = options.clock || {
+            request: function(callback) {
+                return window.requestAnimationFrame(callback);
+            },
+            cancel: function(handle) {
+                window.cancelAnimationFrame(handle);
+            },
+        };
     }
 
     /**
-     * Add mouse listeners for the Video container.
+     * Add a transition.
      *
-     * @param {Video} video - Parent Video.
+     * @memberof Scheduler
+     *
+     * @param {object} transition - Transition, with at least start and end times.
+     *
+     * @return {Scheduler} This scheduler, to allow method chaining.
      */
-    function addVideoContainerListeners(video) {
+    Scheduler.prototype.add = function(transition) {
 
-        video.container.addEventListener('mouseenter', video.internal.showFullProgressBar);
-        video.container.addEventListener('mouseleave', video.internal.showTinyProgressBar);
-        video.container.addEventListener('mousemove', function() {
+        var index = 0;
 
-            video.internal.showFullProgressBar();
-            clearInterval(video.internal.mouseTimer);
-            video.internal.mouseTimer = setInterval(video.internal.showTinyProgressBar, 3000);
-        });
-    }
+        /* Keep transitions sorted, and in insertion order for equal times. */
+        while (index < this.transitions.length && this.transitions[index].start <= transition.start) {
+            index++;
+        }
+
+        this.transitions.splice(index, 0, transition);
+
+        return this;
+    };
 
     /**
-     * Create and setup an HTML video element and its background.
+     * Start checking the position on every frame.
      *
-     * @param {Video} video - Parent Video.
+     * @memberof Scheduler
      */
-    function createVideoElement(video) {
-
-        video.video = createElement('video', 'video-element', video.container);
+    Scheduler.prototype.start = function() {
 
-        video.video.muted = video.options.muted;
-        video.video.preload = 'metadata';
-        video.video.setAttribute('tabindex', -1);
+        var scheduler = this;
+        var clock = this.internal.clock;
 
-        video.video.appendChild(document.createTextNode(
-            'Sorry, your browser doesn\'t support HTML5 video.'
-        ));
+        function frame() {
 
-        addVideoElementListeners(video);
+            scheduler.internal.handle = clock.request(frame);
+            scheduler.update();
+        }
 
-        createElement('div', 'video-background', video.container);
-        createTransitionsTrack(video);
-    }
+        if (this.internal.handle === null) {
+            this.internal.handle = clock.request(frame);
+        }
+    };
 
     /**
-     * Setup HTML video event listeners.
+     * Stop checking the position on every frame.
      *
-     * @param {Video} video - Parent Video.
+     * @memberof Scheduler
      */
-    function addVideoElementListeners(video) {
+    Scheduler.prototype.stop = function() {
 
-        video.video.addEventListener('click', function() {
+        if (this.internal.handle !== null) {
+            this.internal.clock.cancel(this.internal.handle);
+            this.internal.handle = null;
+        }
+    };
 
-            video.toggle();
-        });
+    /**
+     * Check the current position, and fire the transitions reached since
+     * the last check. Going backwards is handled as a seek.
+     *
+     * @memberof Scheduler
+     */
+    Scheduler.prototype.update = function() {
 
-        video.video.addEventListener('durationchange', function() {
+        var position = this.options.position();
+        var from = this.internal.position;
+        var inclusive = this.internal.inclusive;
+        var fired = this.internal.fired;
 
-            video.internal.setControlsDurationTime(this.duration);
-            video.internal.deferredOverlayMarkers.forEach(video.internal.addOverlayMarker);
-            video.internal.deferredOverlayMarkers = [];
-        });
+        if (position < from) {
+            this.seek(position);
+            return;
+        }
 
-        video.video.addEventListener('loadedmetadata', function() {
+        this.internal.position = position;
+        this.internal.inclusive = false;
+        this.internal.fired = [];
 
-            video.data.originalWidth = this.videoWidth;
-            video.data.originalHeight = this.videoHeight;
-        });
+        this.active.slice().forEach(function(transition) {
 
-        video.video.addEventListener('progress', function() {
+            if (position >= transition.end) {
+                this.active.splice(this.active.indexOf(transition), 1);
+                this.options.exit(transition);
+            }
+        }, this);
 
-            clearInterval(video.internal.progressTimer);
-            video.internal.progressTimer = setInterval(function () {
+        for (var i = 0; i < this.transitions.length; i++) {
 
-                var ranges = video.video.buffered;
-                var duration = video.data.duration;
+            var transition = this.transitions[i];
+            var reached = inclusive ? transition.start >= from : transition.start > from;
 
-                if (ranges.length) {
-                    video.internal.setProgressLoadPosition(ranges.end(0));
+            if (!reached || transition.start > position || fired.indexOf(transition) !== -1) {
+                continue;
+            }
 
-                    if (duration && duration <= ranges.end(0)) {
-                        clearInterval(video.internal.progressTimer);
-                    }
-                }
-            }, 100);
-        });
+            if (transition.start < transition.end) {
 
-        video.video.addEventListener('timeupdate', function() {
+                if (position >= transition.end) {
+                    /* The whole range went by in a single update. */
+                    continue;
+                }
 
-            video.internal.setProgressPlayPosition(this.currentTime);
-        });
+                this.active.push(transition);
+            }
 
-        video.video.addEventListener('ended', function() {
+            if (this.options.enter(transition) === false) {
 
-            video.pause();
-        });
+                /* Resume at the same time, after the transitions already fired there. */
+                this.internal.position = transition.start;
+                this.internal.inclusive = true;
+                this.internal.fired = [];
 
-        video.video.addEventListener('volumechange', function(event) {
+                for (var j = 0; j <= i; j++) {
+                    if (this.transitions[j].start === transition.start) {
+                        this.internal.fired.push(this.transitions[j]);
+                    }
+                }
 
-            video.internal.setVolumeSlider(video.getVolume());
-        });
-    }
+                return;
+            }
+        }
+    };
 
     /**
-     * Append a transitions text track to the HTML video element.
+     * Get the first required transition, not completed yet, that a jump from
+     * the current position to a new one would go past.
      *
-     * @param {Video} video - Parent Video.
+     * @memberof Scheduler
+     *
+     * @param {number} to - New position.
+     *
+     * @return {object} Blocking transition, or null if there is none.
      */
-    function createTransitionsTrack(video) {
+    Scheduler.prototype.getBlocker = function(to) {
 
-        var addTextTrack = video.video.addTextTrack || function(kind) {
-
-            var node = createElement('track', video.video);
-
-            node.setAttribute('kind', kind);
-            node.setAttribute('source', '');
-
-            return node.track;
-        };
+        var from = this.internal.position;
 
-        video.transitions = addTextTrack.call(video.video, 'metadata');
-        video.transitions.mode = 'hidden';
-        video.transitions.video = video;
-    }
+        return this.transitions.filter(function(transition) {
+            return transition.required && !transition.completed &&
+                   from <= transition.start && transition.start < to;
+        })[0] || null;
+    };
 
     /**
-     * Create and setup the HTML elements for the video controls.
+     * Handle a jump to a new position. Ranged transitions are exited or
+     * entered as needed, and transitions jumped over are fired or skipped
+     * depending on the seek option. Transitions at the new position are
+     * fired on the next update.
      *
-     * @param {Video} video - Parent Video.
+     * @memberof Scheduler
+     *
+     * @param {number} to - New position.
      */
-    function createVideoControls(video) {
+    Scheduler.prototype.seek = function(to) {
 
-        var surround  = createElement('div', video.container);
-        var container = createElement('div', 'controls-container', surround);
+        var from = this.internal.position;
 
-        createVideoProgressBar(video, surround, container);
+        this.internal.position = to;
+        this.internal.inclusive = true;
+        this.internal.fired = [];
 
-        var controls = createElement('div', 'controls-buttons', container);
+        this.active.slice().forEach(function(transition) {
 
-        createVideoPlayPauseButton(video, controls);
-        createVideoVolumeButton(video, controls);
-        createVideoTimeIndicator(video, controls);
-        createVideoFullScreenButton(video, controls);
+            if (to < transition.start || to >= transition.end) {
+                this.active.splice(this.active.indexOf(transition), 1);
+                this.options.exit(transition);
+            }
+        }, this);
 
-        // TODO: captions, etc.
+        var crossed = this.transitions.filter(function(transition) {
+            return transition.start === transition.end && from < transition.start && transition.start < to;
+        });
 
+        var entered = this.transitions.filter(function(transition) {
+            return transition.start < to && to < transition.end && this.active.indexOf(transition) === -1;
+        }, this);
 
-        if (video.options.controls === 'none') {
-            container.style.display = 'none';
-        }
+        entered.forEach(function(transition) {
 
-        if (video.options.controls === 'hide') {
-            surround.classList.add('controls-container-surround');
+            this.active.push(transition);
+            this.options.enter(transition);
+        }, this);
+
+        if (crossed.length && this.options.seek === 'fire') {
+            this.options.enter(crossed[0]);
         }
-    }
+    };
 
     /**
-     * Create and setup the HTML elements for the video controls progress bar.
+     * Create a Video component.
      *
-     * @param {Video} video - Parent Video.
-     * @param {object} surround - Controls surround HTML element.
-     * @param {object} controls - Parent controls HTML element.
+     * @see Lecture#addVideo
+     * @constructor
+     * @name Video
+     *
+     * @param {Lecture} lecture - Parent lecture.
+     * @param {string}  name - Video unique name.
+     * @param {object}  options - Video configuration options.
      */
-    function createVideoProgressBar(video, surround, controls) {
-
-        var padding  = createElement('div', 'controls-progress-padding', controls);
-        var progress = createElement('div', 'controls-progress',         controls);
-        var loaded   = createElement('div', 'controls-progress-loaded',  progress);
-        var bar      = createElement('div', 'controls-progress-bar',     progress);
-        var played   = createElement('div', 'controls-progress-played',  bar);
-        var bullet   = createElement('div', 'controls-progress-bullet',  played);
+    function Video(lecture, name, options) {
 
-        video.internal.addOverlayMarker = function(position) {
+        lecture.videos[name] = this;
 
-            if (!video.options.markers) {
-                return;
-            }
+        this.lecture = lecture;
+        this.name = name;
+        this.options = options;
+        this.listeners = {};
 
-            if (!video.data.duration) {
-                video.internal.deferredOverlayMarkers.push(position);
-                return;
-            }
+        this.sources = [];
+        this.subtitles = [];
+        this.chapters = [];
+        this.thumbnails = [];
 
-            var container = createElement('div', 'controls-progress-overlay-marker-container', progress);
-            var padding   = createElement('div', 'controls-progress-overlay-marker-padding',   container);
-            var marker    = createElement('div', 'controls-progress-overlay-marker',           padding);
+        this.internal = {};
+        this.internal.deferredOverlayMarkers = [];
+        this.internal.files = {chapters: [], transitions: [], thumbnails: []};
+        this.internal.restoredCompleted = [];
 
-            position = clamp(0, position, video.data.duration);
-            marker.style.width = 100 * position / video.data.duration + '%';
-        };
+        this.data = {};
+        this.data.duration = 0;
+        this.data.currentTime = 0;
+        this.data.volume = 1;
 
-        video.internal.showFullProgressBar = function() {
+        /* Volume factor of the audio crossfades, on top of the user volume. */
+        this.internal.volumeFactor = 1;
 
-            if (!video.lecture.showingOverlay()) {
-                  bullet.classList.remove('controls-progress-bullet-tiny');
-                progress.classList.remove('controls-progress-tiny');
-                surround.classList.remove('controls-container-surround-hidden');
-            }
-        };
+        this.container = createElement('div', 'video-container');
+        this.container.video = this;
+        addVideoContainerListeners(this);
 
-        video.internal.showTinyProgressBar = function() {
+        createVideoElement(this);
+        createVideoHotspotLayer(this);
+        createVideoControls(this);
 
-            if (!video.video.paused) {
-                  bullet.classList.add('controls-progress-bullet-tiny');
-                progress.classList.add('controls-progress-tiny');
+        lecture.container.appendChild(this.container);
+    }
 
-                if (video.options.controls === 'hide') {
-                    surround.classList.add('controls-container-surround-hidden');
-                }
-            }
-        };
+    /**
+     * Add pointer listeners for the Video container.
+     *
+     * Hovering pointers (mouse and pen) show the full controls while over the
+     * video. Touch pointers don't hover, and are handled by the touch gestures.
+     *
+     * @see addVideoTouchListeners
+     * @param {Video} video - Parent Video.
+     */
+    function addVideoContainerListeners(video) {
 
-        video.internal.setProgressLoadPosition = function(position) {
+        video.container.addEventListener('pointerenter', function(event) {
 
-            position = clamp(0, position, video.data.duration);
-            loaded.style.width = 100 * position / video.data.duration + '%';
-            video.data.loadPosition = position;
-        };
+            if (event.pointerType !== 'touch') {
+                video.internal.showFullProgressBar();
+            }
+        });
 
-        video.internal.setProgressPlayPosition = function(position) {
+        video.container.addEventListener('pointerleave', function(event) {
 
-            position = clamp(0, position, video.data.duration);
-            played.style.width = 100 * position / video.data.duration + '%';
-            video.data.playPosition = position;
-            video.internal.setControlsPlayTime(position);
-        };
+            if (event.pointerType !== 'touch') {
+                video.internal.showTinyProgressBar();
+            }
+        });
 
-        var listener = getProgressBarListener(video, controls, bullet);
+        video.container.addEventListener('pointermove', function(event) {
 
-        progress.addEventListener('mousedown', listener);
-         padding.addEventListener('mousedown', listener);
-          bullet.addEventListener('mousedown', listener);
+            if (event.pointerType !== 'touch') {
+                video.internal.showControlsFor(3000);
+            }
+        });
     }
 
     /**
-     * Create the mouseDown event handler for the progress bar components.
+     * Add touch gestures for the HTML video.
+     *
+     * A tap shows or hides the controls (or starts a paused video), and a
+     * double tap on the left or right third of the video seeks backward or
+     * forward 10 seconds. A double tap on the middle toggles reproduction.
      *
      * @param {Video} video - Parent Video.
-     * @param {object} controls - Parent controls HTML element.
-     * @param {object} bullet - Progress bar bullet HTML element.
      */
-    function getProgressBarListener(video, controls, bullet) {
+    function addVideoTouchListeners(video) {
 
-        var playing;
-        var position;
-        var timer;
+        var delay = 300;
+        var last = null;
 
-        function setVideoPosition(pageX, onlyUI) {
+        video.video.addEventListener('pointerdown', function(event) {
 
-            var rel = getRelativeMousePosition(pageX, 0, controls);
-            var pos = video.data.duration * rel.x;
+            video.internal.pointerType = event.pointerType;
+        });
 
-            if (onlyUI) {
-                video.internal.setProgressPlayPosition(pos);
-            } else {
-                video.setPosition(pos);
+        video.video.addEventListener('pointerup', function(event) {
+
+            if (event.pointerType !== 'touch') {
+                return;
             }
-        }
 
-        function mouseDown(event) {
+            var x = getRelativePointerPosition(event.pageX, event.pageY, video.video).x;
+            var side = x < 1 / 3 ? -1 : x > 2 / 3 ? 1 : 0;
 
-            playing = !video.video.paused;
+            clearTimeout(video.internal.tapTimer);
 
-            if (playing) {
-                video.pause();
-                video.internal.showVideoPauseButton();
-            }
+            if (last && last.side === side && event.timeStamp - last.time < delay) {
 
-            position = event.pageX;
-            timer = setInterval(function() {
-                setVideoPosition(position);
-            }, 20);
+                last = null;
 
-            setVideoPosition(event.pageX);
-            bullet.classList.add('controls-progress-bullet-hover');
-        }
+                if (side) {
+                    var time = video.video.currentTime + 10 * side;
 
-        function mouseMove(event) {
+                    video.setPosition(clamp(0, time, video.data.duration || Infinity));
+                } else {
+                    video.toggle();
+                }
 
-            position = event.pageX;
-            setVideoPosition(position, true);
-        }
+                return;
+            }
 
-        function mouseUp(event) {
+            last = {side: side, time: event.timeStamp};
 
-            clearInterval(timer);
-            setVideoPosition(event ? event.pageX : position);
-            bullet.classList.remove('controls-progress-bullet-hover');
+            video.internal.tapTimer = setTimeout(function() {
 
-            if (playing) {
-                video.play();
-            }
-        }
+                last = null;
 
-        return mouseDownHandler(mouseDown, mouseMove, mouseUp);
+                if (video.video.paused) {
+                    video.play();
+                } else {
+                    video.internal.toggleControls();
+                }
+            }, delay);
+        });
     }
 
     /**
-     * Create and setup the video controls play/pause button.
+     * Create and setup an HTML video element and its background.
      *
      * @param {Video} video - Parent Video.
-     * @param {object} controls - Parent controls HTML element.
      */
-    function createVideoPlayPauseButton(video, controls) {
+    function createVideoElement(video) {
 
-        var button = createElement('div', ['controls-playpause-button', 'controls-play-button'], controls);
+        video.video = createElement('video', 'video-element', video.container);
 
-        button.setAttribute('tabindex', 0);
+        video.video.muted = video.options.muted;
+        video.video.preload = 'metadata';
+        video.video.setAttribute('tabindex', -1);
+        video.video.setAttribute('aria-label', getLabel(video));
 
-        video.internal.showVideoPlayButton = function() {
+        video.video.appendChild(document.createTextNode(
+            'Sorry, your browser doesn\'t support HTML5 video.'
+        ));
 
-            button.classList.remove('controls-pause-button');
-            button.classList.add('controls-play-button');
-        };
+        addVideoElementListeners(video);
 
-        video.internal.showVideoPauseButton = function() {
+        createElement('div', 'video-background', video.container);
+        createVideoScheduler(video);
+    }
 
-            button.classList.remove('controls-play-button');
-            button.classList.add('controls-pause-button');
-        };
+    /**
+     * Setup HTML video event listeners.
+     *
+     * @param {Video} video - Parent Video.
+     */
+    function addVideoElementListeners(video) {
 
-        button.addEventListener('mousedown', function(event) {
+        video.video.addEventListener('click', function() {
 
-            /* Avoid gaining focus on mouse down. */
-            event.preventDefault();
+            /* Taps are handled by the touch gestures. */
+            if (video.internal.pointerType !== 'touch') {
+                video.toggle();
+            }
         });
 
-        button.addEventListener('click', function() {
+        addVideoTouchListeners(video);
 
-            video.toggle();
-        });
+        video.video.addEventListener('durationchange', function() {
 
-        button.addEventListener('keydown', function(event) {
+            video.internal.setControlsDurationTime(this.duration);
+            video.internal.deferredOverlayMarkers.forEach(function(marker) {
+                video.internal.addOverlayMarker(marker[0], marker[1]);
+            });
+            video.internal.deferredOverlayMarkers = [];
+            video.internal.renderChapterMarkers();
+        });
 
-            var code = event.charCode || event.keyCode || event.which;
+        video.video.addEventListener('loadedmetadata', function() {
 
-            /* Toggle on enter or space. */
-            if (code == 13 || code == 32) {
-                video.toggle();
-            }
+            video.data.originalWidth = this.videoWidth;
+            video.data.originalHeight = this.videoHeight;
+            video.internal.layoutHotspots();
         });
-    }
 
-    /**
-     * Create and setup the video controls volume button and slider.
-     *
-     * @param {Video} video - Parent Video.
-     * @param {object} controls - Parent controls HTML element.
-     */
-    function createVideoVolumeButton(video, controls) {
+        video.video.addEventListener('progress', function() {
 
-        var volume  = createElement('div', 'controls-volume', controls);
-        var speaker = createElement('div', 'controls-volume-speaker', volume);
-        var outer   = createElement('div', 'controls-volume-slider-outer', volume);
-        var middle  = createElement('div', 'controls-volume-slider-middle', outer);
-        var inner   = createElement('div', 'controls-volume-slider-inner', middle);
-        var slider  = createElement('div', 'controls-volume-slider', inner);
+            clearInterval(video.internal.progressTimer);
+            video.internal.progressTimer = setInterval(function () {
 
-        volume.setAttribute('tabindex', 0);
+                var ranges = video.video.buffered;
+                var duration = video.data.duration;
 
-        video.internal.setVolumeSlider = function(value) {
+                if (ranges.length) {
+                    video.internal.setProgressLoadPosition(ranges.end(0));
 
-            value = clamp(0, value, 1);
-            slider.style.left = 100 * value + '%';
+                    if (duration && duration <= ranges.end(0)) {
+                        clearInterval(video.internal.progressTimer);
+                    }
+                }
+            }, 100);
+        });
 
-            speaker.classList.remove('controls-volume-mute');
-            speaker.classList.remove('controls-volume-low');
-            speaker.classList.remove('controls-volume-high');
+        video.video.addEventListener('timeupdate', function() {
 
-            if (value == 0) {
-                speaker.classList.add('controls-volume-mute');
-            }
-            if (value > 0.2) {
-                speaker.classList.add('controls-volume-low');
-            }
-            if (value > 0.6) {
-                speaker.classList.add('controls-volume-high');
+            video.internal.setProgressPlayPosition(this.currentTime);
+            video.internal.updateChaptersMenu();
+            preloadTargets(video);
+
+            /* Frames are not requested in background tabs. */
+            if (!this.paused && video.lecture.currentVideo === video) {
+                video.scheduler.update();
             }
-        };
+        });
 
-        video.internal.setVolumeSlider(video.getVolume());
+        video.video.addEventListener('ratechange', function() {
 
-        addVideoVolumeListeners(video, volume, outer);
-    }
+            video.internal.updateSpeedMenu();
+            emit(video, 'ratechange', {rate: this.playbackRate});
+        });
 
-    /**
-     * Add mouse listeners for the volume controls.
-     *
-     * @param {Video} video - Parent Video.
-     * @param {object} volume - HTML element for the volume container.
-     * @param {object} slider - HTML element for the volume slider container.
-     */
-    function addVideoVolumeListeners(video, volume, slider) {
+        video.video.addEventListener('play', function() {
 
-        var click = false;
+            video.scheduler.start();
+            emit(video, 'play');
+        });
 
-        volume.addEventListener('mousedown', function(event) {
+        video.video.addEventListener('pause', function() {
 
-            /* Avoid gaining focus on mouse down. */
-            event.preventDefault();
+            video.scheduler.stop();
+            emit(video, 'pause', {time: this.currentTime});
+        });
 
-            var rel = getRelativeMousePosition(event.pageX, 0, slider);
-            click = rel.x === 0;
+        video.video.addEventListener('ended', function() {
+
+            video.scheduler.update();
+            video.pause();
+            emit(video, 'ended', {time: this.currentTime});
         });
 
-        volume.addEventListener('mouseup', function(event) {
+        video.video.addEventListener('volumechange', function(event) {
 
-            if (click) {
-                video.toggleVolume();
+            /* Audio crossfades don't change the video volume. */
+            if (video.internal.fadingVolume) {
+                return;
             }
-        });
 
-        volume.addEventListener('keydown', function(event) {
+            video.internal.setVolumeSlider(video.getVolume());
+            emit(video, 'volumechange', {volume: video.getVolume(), muted: this.muted});
+        });
+    }
 
-            var code = event.charCode || event.keyCode || event.which;
+    /**
+     * Create the transitions scheduler of a video, that checks the video
+     * position on every video frame (or animation frame, if video frame
+     * callbacks are not supported).
+     *
+     * @param {Video} video - Parent Video.
+     */
+    function createVideoScheduler(video) {
+
+        var element = video.video;
+        var clock;
+
+        if (element.requestVideoFrameCallback) {
+            clock = {
+                request: function(callback) {
+                    return element.requestVideoFrameCallback(callback);
+                },
+                cancel: function(handle) {
+                    element.cancelVideoFrameCallback(handle);
+                },
+            };
+        }
 
-            switch (code) {
-                /* Toggle on enter or space. */
-                case 13:
-                case 32:
-                    video.toggleVolume();
-                    break;
-                /* Increase volume on up or right. */
-                case 38:
-                case 39:
-                    video.setVolume(video.getVolume() + 0.05);
-                    break;
-                /* Decrease volume on left or down. */
-                case 37:
-                case 40:
-                    video.setVolume(video.getVolume() - 0.05);
-                    break;
-            }
+        video.scheduler = new Scheduler({
+            position: function() {
+                return element.currentTime;
+            },
+            enter: function(transition) {
+                return enterTransition(video, transition);
+            },
+            exit: function(transition) {
+                exitTransition(video, transition);
+            },
+            clock: clock,
+            seek: video.options.seek,
         });
+    }
 
-        function mouseDown(event) {
+    /**
+     * Create the layer of the video hotspots, that covers the area where the
+     * video picture is actually displayed (leaving out the letterbox), so
+     * hotspots scale with the original aspect ratio of the video.
+     *
+     * @param {Video} video - Parent Video.
+     */
+    function createVideoHotspotLayer(video) {
 
-            volume.classList.add('controls-volume-hover');
-            mouseMove(event);
-        }
+        var layer = createElement('div', 'video-hotspots', video.container);
 
-        function mouseMove(event) {
+        video.internal.hotspotLayer = layer;
+        video.internal.hotspots = [];
 
-            video.setVolume(getRelativeMousePosition(event.pageX, 0, slider).x);
-        }
+        video.internal.layoutHotspots = function() {
 
-        function mouseUp(event) {
+            var width = video.video.clientWidth;
+            var height = video.video.clientHeight;
+            var ratio = video.data.originalWidth / video.data.originalHeight;
 
-            volume.classList.remove('controls-volume-hover');
-            mouseMove(event);
-        }
+            if (!width || !height || !ratio) {
+                layer.style.cssText = '';
+                return;
+            }
+
+            var pictureWidth = Math.min(width, height * ratio);
+            var pictureHeight = pictureWidth / ratio;
 
-        slider.addEventListener('mousedown', mouseDownHandler(mouseDown, mouseMove, mouseUp));
+            layer.style.width = pictureWidth + 'px';
+            layer.style.height = pictureHeight + 'px';
+            layer.style.left = (width - pictureWidth) / 2 + 'px';
+            layer.style.top = (height - pictureHeight) / 2 + 'px';
+        };
+
+        if (window.ResizeObserver) {
+            video.internal.hotspotObserver = new window.ResizeObserver(video.internal.layoutHotspots);
+            video.internal.hotspotObserver.observe(video.video);
+        } else {
+            addGlobalListener(video.lecture, window, 'resize', video.internal.layoutHotspots);
+        }
     }
 
     /**
-     * Create and setup the video controls time indicators.
+     * Create and setup the HTML elements for the video controls.
      *
      * @param {Video} video - Parent Video.
-     * @param {object} controls - Parent controls HTML element.
      */
-    function createVideoTimeIndicator(video, controls) {
+    function createVideoControls(video) {
 
-        var time      = createElement('div', 'controls-time', controls);
-        var current   = createElement('span', time);
-        var separator = createElement('span', time);
-        var duration  = createElement('span', time);
+        var surround  = createElement('div', video.container);
+        var container = createElement('div', 'controls-container', surround);
 
-          current.appendChild(document.createTextNode('0:00'));
-        separator.appendChild(document.createTextNode(' / '));
-         duration.appendChild(document.createTextNode('0:00'));
+        createVideoProgressBar(video, surround, container);
 
-        video.internal.setControlsPlayTime = function(time) {
+        var controls = createElement('div', 'controls-buttons', container);
 
-            time = clamp(0, time, video.data.duration);
-            current.firstChild.nodeValue = formatSeconds(time);
-        };
+        createVideoPlayPauseButton(video, controls);
+        createVideoVolumeButton(video, controls);
+        createVideoTimeIndicator(video, controls);
+        createVideoFullScreenButton(video, controls);
+        createVideoCaptionsButton(video, controls);
+        createVideoSpeedButton(video, controls);
+        createVideoChaptersButton(video, controls);
+        createVideoQualityButton(video, controls);
 
-        video.internal.setControlsDurationTime = function(time) {
+        if (video.options.controls === 'none') {
+            container.style.display = 'none';
+        }
 
-            video.data.duration = clamp(0, time, Infinity);
-            duration.firstChild.nodeValue = formatSeconds(video.data.duration);
-        };
+        if (video.options.controls === 'hide') {
+            surround.classList.add('controls-container-surround');
+        }
     }
 
     /**
-     * Create and setup the video fullscreen button.
+     * Create and setup the HTML elements for the video controls progress bar.
      *
      * @param {Video} video - Parent Video.
+     * @param {object} surround - Controls surround HTML element.
      * @param {object} controls - Parent controls HTML element.
      */
-    function createVideoFullScreenButton(video, controls) {
+    function createVideoProgressBar(video, surround, controls) {
 
-        var button = createElement('div', 'controls-fullscreen', controls);
-        var symbol = createElement('div', 'controls-fullscreen-symbol', button);
+        var padding  = createElement('div', 'controls-progress-padding', controls);
+        var progress = createElement('div', 'controls-progress',         controls);
+        var loaded   = createElement('div', 'controls-progress-loaded',  progress);
+        var bar      = createElement('div', 'controls-progress-bar',     progress);
+        var played   = createElement('div', 'controls-progress-played',  bar);
+        var bullet   = createElement('div', 'controls-progress-bullet',  played);
+        var layer    = createElement('div', 'controls-progress-marker-layer', progress);
+        var markers  = createElement('div', 'controls-progress-marker-layer-inner', layer);
+        var tooltip  = createElement('div', 'controls-progress-tooltip', markers);
+        var preview  = createElement('div', 'controls-progress-tooltip-thumbnail', tooltip);
+        var title    = createElement('div', 'controls-progress-tooltip-title', tooltip);
+        var time     = createElement('div', 'controls-progress-tooltip-time', tooltip);
+        var chapters = [];
 
-        button.setAttribute('tabindex', 0);
+        function percent(position) {
 
-        video.internal.toggleFullScreen = function() {
+            return 100 * clamp(0, position, video.data.duration) / video.data.duration + '%';
+        }
 
-            var methods = [
-                      'requestFullScreen',
-                    'msRequestFullScreen',
-                   'mozRequestFullScreen',
-                'webkitRequestFullScreen',
-            ];
+        video.internal.showProgressTooltip = function(position) {
 
-            for (var i = 0; i < methods.length; i++) {
-                if (video.lecture.container[methods[i]]) {
-                    video.lecture.container[methods[i]]();
-                    video.lecture.container.classList.add('lecture-container-fullscreen');
-                    break;
-                }
+            var chapter = video.getChapter(position);
+            var thumbnail = video.getThumbnail(position);
+
+            if (thumbnail) {
+                preview.style.display = 'block';
+                preview.style.width = thumbnail.width ? thumbnail.width + 'px' : '';
+                preview.style.height = thumbnail.height ? thumbnail.height + 'px' : '';
+                preview.style.backgroundImage = 'url("' + thumbnail.url + '")';
+                preview.style.backgroundPosition = -thumbnail.x + 'px ' + -thumbnail.y + 'px';
+            } else {
+                preview.style.display = 'none';
             }
+
+            title.textContent = chapter ? chapter.title : '';
+            time.textContent = formatSeconds(position);
+            tooltip.style.left = percent(position);
+            tooltip.classList.add('controls-progress-tooltip-show');
         };
 
-        button.addEventListener('mousedown', function(event) {
+        video.internal.hideProgressTooltip = function() {
 
-            /* Avoid gaining focus on mouse down. */
-            event.preventDefault();
-        });
+            tooltip.classList.remove('controls-progress-tooltip-show');
+        };
 
-        button.addEventListener('click', video.internal.toggleFullScreen);
+        video.internal.renderChapterMarkers = function() {
 
-        button.addEventListener('keydown', function(event) {
+            chapters.forEach(function(marker) {
+                markers.removeChild(marker);
+            });
 
-            var code = event.charCode || event.keyCode || event.which;
+            chapters = [];
 
-            /* Toggle on enter or space. */
-            if (code == 13 || code == 32) {
-                video.internal.toggleFullScreen();
+            if (!video.data.duration) {
+                return;
             }
-        });
-    }
 
-    /**
-     * Add a WebVTT transitions file to this video.
-     *
-     * A transitions file has one or more transitions defined as follows:
-     *
-     * <pre>
-     * {from-time} --> {to-time}
-     * {target-name} {target-start-time}? pause?
-     * </pre>
-     *
-     * {from-time} and {to-time} should always be the same, the time in the
-     * video at which the transition will occur, except in the case where the
-     * target is an Overlay and the video should keep playing, showing the
-     * overlay from {form-time} to {to-time}.
-     *
-     * If the target is a Video, {target-start-time} is the starting time of
-     * the video (if not set, continues from the target's last position) and,
-     * if present, pause indicates that the target video should be paused (if
-     * not set, the target video will start playing after the transition).
-     *
-     * @memberof Video
-     *
-     * @param {string} source - Transition file URI.
-     *
-     * @return {Video} This video, to allow method chaining.
-     */
-    Video.prototype.addTransitionFile = function(source) {
-
-        var node = createElement('track', this.video);
-        var that = this;
+            video.chapters.forEach(function(chapter) {
 
-        node.setAttribute('kind', 'metadata');
-        node.setAttribute('src', source);
+                var marker = createElement('div', 'controls-progress-chapter', markers);
 
-        node.addEventListener('load', function() {
+                marker.style.left = percent(chapter.time);
+                chapters.push(marker);
 
-            var cues = this.track.cues;
+                marker.addEventListener('pointerenter', function() {
 
-            for (var i = 0; i < cues.length; i++) {
-                cues[i].onenter = cueEnterHandler;
-                cues[i].onexit = cueExitHandler;
+                    video.internal.showProgressTooltip(chapter.time);
+                });
 
-                if (this.startTime === this.endTime) {
-                    that.internal.addOverlayMarker(cues[i].startTime);
-                }
-            }
-        });
+                marker.addEventListener('pointerleave', video.internal.hideProgressTooltip);
 
-        this.transitions = node.track;
-        this.transitions.mode = 'hidden';
-        this.transitions.video = this;
+                marker.addEventListener('pointerdown', function(event) {
 
-        return this;
-    };
+                    /* Seek on click, instead of dragging the progress bar. */
+                    event.preventDefault();
+                    event.stopPropagation();
+                });
 
-    /**
-     * Handler for cues enter event.
-     */
-    function cueEnterHandler() {
+                marker.addEventListener('click', function() {
 
-        /* jshint validthis: true */
+                    video.setPosition(chapter.time);
+                });
+            });
+        };
 
-        var source = this.track.video;
-        var tokens = this.text.split(' ');
-        var target = source.lecture.getComponent(tokens[0]);
+        video.internal.addOverlayMarker = function(position, until) {
 
-        target.show();
+            if (!video.options.markers) {
+                return;
+            }
 
-        if (target.constructor === Video) {
+            if (!video.data.duration) {
+                video.internal.deferredOverlayMarkers.push([position, until]);
+                return;
+            }
 
-            var time  = tokens[1] && parseSeconds(tokens[1]);
-            var pause = tokens[1] === 'pause' || tokens[2] === 'pause';
+            if (until > position) {
 
-            if (typeof time === "number") {
-                target.setPosition(time);
-            }
+                var range = createElement('div', 'controls-progress-overlay-range', markers);
 
-            if (!pause) {
-                target.play();
+                range.style.left = percent(position);
+                range.style.width = 100 * (clamp(0, until, video.data.duration) -
+                                           clamp(0, position, video.data.duration)) / video.data.duration + '%';
+                return;
             }
 
-            source.setPosition(this.startTime + 0.00001);
-        }
-
-        if (target.constructor === Overlay && this.startTime === this.endTime) {
-            source.pause();
-            source.setPosition(this.startTime + 0.00001);
-        }
-    }
+            var container = createElement('div', 'controls-progress-overlay-marker-container', progress);
+            var padding   = createElement('div', 'controls-progress-overlay-marker-padding',   container);
+            var marker    = createElement('div', 'controls-progress-overlay-marker',           padding);
 
-    /**
-     * Handler for cues exit event.
-     */
-    function cueExitHandler() {
+            position = clamp(0, position, video.data.duration);
+            marker.style.width = 100 * position / video.data.duration + '%';
+        };
 
-        /* jshint validthis: true */
+        video.internal.showFullProgressBar = function() {
 
-        var source = this.track.video;
-        var tokens = this.text.split(' ');
-        var target = source.lecture.getComponent(tokens[0]);
+            if (!video.lecture.showingOverlay()) {
+                  bullet.classList.remove('controls-progress-bullet-tiny');
+                progress.classList.remove('controls-progress-tiny');
+                surround.classList.remove('controls-container-surround-hidden');
+            }
+        };
 
-        if (target.constructor === Overlay && this.startTime !== this.endTime) {
-            target.hide();
-        }
-    }
+        video.internal.showTinyProgressBar = function() {
 
-    /**
-     * Add a video source. Use this method to provide several video
-     * formats/encodings. At least the mp4 and webm formats should be availa
-     * for the video to play in all major browsers.
-     *
-     * @memberof Video
-     *
-     * @param {string} source - Video source URI.
-     * @param {string} [type] - Video MIME type.
-     *
-     * @return {Video} This video, to allow method chaining.
-     */
-    Video.prototype.addVideoSource = function(source, type) {
+            /* Keep the controls visible while they have the keyboard focus. */
+            if (!video.video.paused && !surround.contains(document.activeElement)) {
+                  bullet.classList.add('controls-progress-bullet-tiny');
+                progress.classList.add('controls-progress-tiny');
 
-        if (typeof type === 'undefined') {
-            for (type in videoMIME) {
-                if (videoMIME[type].test(source)) {
-                    break;
+                if (video.options.controls === 'hide') {
+                    surround.classList.add('controls-container-surround-hidden');
                 }
             }
-        }
+        };
 
-        var node = createElement('source', this.video);
+        video.internal.showControlsFor = function(delay) {
 
-        node.setAttribute('src', source);
-        node.setAttribute('type', type);
+            video.internal.showFullProgressBar();
+            clearInterval(video.internal.controlsTimer);
+            video.internal.controlsTimer = setInterval(video.internal.showTinyProgressBar, delay);
+        };
 
-        return this;
-    };
+        video.internal.toggleControls = function() {
 
-    /**
-     * Add a subtitle track to the video.
-     *
-     * @memberof Video
-     *
-     * @param {string} language - Language of the subtitles (en, es, ...).
-     * @param {string} source - Subtitles file URI.
-     *
-     * @return {Video} This video, to allow method chaining.
-     */
-    Video.prototype.addSubtitle = function(language, source) {
+            if (progress.classList.contains('controls-progress-tiny')) {
+                video.internal.showControlsFor(3000);
+            } else {
+                clearInterval(video.internal.controlsTimer);
+                video.internal.showTinyProgressBar();
+            }
+        };
 
-        var node = createElement('track', this.video);
+        video.internal.setProgressLoadPosition = function(position) {
 
-        node.setAttribute('kind', 'subtitle');
-        node.setAttribute('src', source);
-        node.setAttribute('srclang', language);
+            position = clamp(0, position, video.data.duration);
+            loaded.style.width = 100 * position / video.data.duration + '%';
+            video.data.loadPosition = position;
+        };
 
-        return this;
-    };
+        video.internal.setProgressPlayPosition = function(position) {
 
-    /**
-     * Add a transition to another component.
-     *
+            position = clamp(0, position, video.data.duration);
+            played.style.width = 100 * position / video.data.duration + '%';
+            video.data.playPosition = position;
+            video.internal.setControlsPlayTime(position);
+
+            progress.setAttribute('aria-valuemax', Math.floor(video.data.duration));
+            progress.setAttribute('aria-valuenow', Math.floor(position));
+            progress.setAttribute('aria-valuetext', formatSeconds(position) + ' of ' +
+                                                    formatSeconds(video.data.duration));
+        };
+
+        progress.setAttribute('tabindex', 0);
+        progress.setAttribute('role', 'slider');
+        progress.setAttribute('aria-label', 'Seek');
+        progress.setAttribute('aria-valuemin', 0);
+        layer.setAttribute('aria-hidden', 'true');
+
+        addVideoProgressBarKeyListeners(video, progress);
+
+        surround.addEventListener('focusin', video.internal.showFullProgressBar);
+        surround.addEventListener('focusout', function() {
+
+            video.internal.showControlsFor(3000);
+        });
+
+        var listener = getProgressBarListener(video, controls, bullet);
+
+        progress.addEventListener('pointerdown', listener);
+         padding.addEventListener('pointerdown', listener);
+          bullet.addEventListener('pointerdown', listener);
+
+        function hover(event) {
+
+            if (!video.data.duration || event.target.classList.contains('controls-progress-chapter')) {
+                return;
+            }
+
+            var position = getRelativePointerPosition(event.pageX, 0, controls).x;
+
+            video.internal.showProgressTooltip(video.data.duration * position);
+        }
+
+        /* Moves are captured while scrubbing, so touch drags show it too. */
+        progress.addEventListener('pointermove', hover);
+         padding.addEventListener('pointermove', hover);
+          bullet.addEventListener('pointermove', hover);
+        progress.addEventListener('pointerleave', video.internal.hideProgressTooltip);
+         padding.addEventListener('pointerleave', video.internal.hideProgressTooltip);
+          bullet.addEventListener('pointerleave', video.internal.hideProgressTooltip);
+    }
+
+    /**
+     * Add the keyboard listeners of the progress bar slider: arrows seek 5
+     * seconds, page up and down seek a tenth of the video, and home and end
+     * go to its start and end.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} progress - Progress bar HTML element.
+     */
+    function addVideoProgressBarKeyListeners(video, progress) {
+
+        progress.addEventListener('mousedown', function(event) {
+
+            /* Avoid gaining focus on mouse down. */
+            event.preventDefault();
+        });
+
+        progress.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+            var time = video.video.currentTime;
+            var duration = video.data.duration;
+            var position;
+
+            switch (code) {
+                /* Page up and down. */
+                case 33:
+                    position = time + duration / 10;
+                    break;
+                case 34:
+                    position = time - duration / 10;
+                    break;
+                /* End and home. */
+                case 35:
+                    position = duration;
+                    break;
+                case 36:
+                    position = 0;
+                    break;
+                /* Left and down, right and up. */
+                case 37:
+                case 40:
+                    position = time - 5;
+                    break;
+                case 38:
+                case 39:
+                    position = time + 5;
+                    break;
+                default:
+                    return;
+            }
+
+            /* Handled here, not by the lecture keyboard bindings. */
+            event.preventDefault();
+            event.stopPropagation();
+
+            video.setPosition(clamp(0, position, duration || Infinity));
+        });
+    }
+
+    /**
+     * Create the pointerDown event handler for the progress bar components.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     * @param {object} bullet - Progress bar bullet HTML element.
+     */
+    function getProgressBarListener(video, controls, bullet) {
+
+        var playing;
+        var position;
+        var timer;
+
+        function setVideoPosition(pageX, onlyUI) {
+
+            var rel = getRelativePointerPosition(pageX, 0, controls);
+            var pos = video.data.duration * rel.x;
+
+            if (onlyUI) {
+                video.internal.setProgressPlayPosition(pos);
+            } else {
+                video.setPosition(pos);
+            }
+        }
+
+        function pointerDown(event) {
+
+            playing = !video.video.paused;
+
+            if (playing) {
+                video.pause();
+                video.internal.showVideoPauseButton();
+            }
+
+            position = event.pageX;
+            video.internal.scrubTimer = setInterval(function() {
+                setVideoPosition(position);
+            }, 20);
+
+            setVideoPosition(event.pageX);
+            bullet.classList.add('controls-progress-bullet-hover');
+        }
+
+        function pointerMove(event) {
+
+            position = event.pageX;
+            setVideoPosition(position, true);
+        }
+
+        function pointerUp(event) {
+
+            clearInterval(video.internal.scrubTimer);
+            setVideoPosition(event ? event.pageX : position);
+            bullet.classList.remove('controls-progress-bullet-hover');
+
+            if (playing) {
+                video.play();
+            }
+        }
+
+        return pointerDownHandler(pointerDown, pointerMove, pointerUp);
+    }
+
+    /**
+     * Create and setup the video controls play/pause button.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoPlayPauseButton(video, controls) {
+
+        var button = createElement('div', ['controls-playpause-button', 'controls-play-button'], controls);
+
+        button.setAttribute('tabindex', 0);
+        button.setAttribute('role', 'button');
+        button.setAttribute('aria-label', 'Play');
+
+        video.internal.showVideoPlayButton = function() {
+
+            button.classList.remove('controls-pause-button');
+            button.classList.add('controls-play-button');
+            button.setAttribute('aria-label', 'Play');
+        };
+
+        video.internal.showVideoPauseButton = function() {
+
+            button.classList.remove('controls-play-button');
+            button.classList.add('controls-pause-button');
+            button.setAttribute('aria-label', 'Pause');
+        };
+
+        button.addEventListener('mousedown', function(event) {
+
+            /* Avoid gaining focus on mouse down. */
+            event.preventDefault();
+        });
+
+        button.addEventListener('click', function() {
+
+            video.toggle();
+        });
+
+        button.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+
+            /* Toggle on enter or space. */
+            if (code == 13 || code == 32) {
+                event.preventDefault();
+                event.stopPropagation();
+                video.toggle();
+            }
+        });
+    }
+
+    /**
+     * Create and setup the video controls volume button and slider.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoVolumeButton(video, controls) {
+
+        var volume  = createElement('div', 'controls-volume', controls);
+        var speaker = createElement('div', 'controls-volume-speaker', volume);
+        var outer   = createElement('div', 'controls-volume-slider-outer', volume);
+        var middle  = createElement('div', 'controls-volume-slider-middle', outer);
+        var inner   = createElement('div', 'controls-volume-slider-inner', middle);
+        var slider  = createElement('div', 'controls-volume-slider', inner);
+
+        volume.setAttribute('tabindex', 0);
+        volume.setAttribute('role', 'slider');
+        volume.setAttribute('aria-label', 'Volume');
+        volume.setAttribute('aria-valuemin', 0);
+        volume.setAttribute('aria-valuemax', 100);
+
+        video.internal.setVolumeSlider = function(value) {
+
+            value = clamp(0, value, 1);
+            slider.style.left = 100 * value + '%';
+
+            volume.setAttribute('aria-valuenow', Math.round(100 * value));
+            volume.setAttribute('aria-valuetext', value == 0 ? 'Muted' : Math.round(100 * value) + '%');
+
+            speaker.classList.remove('controls-volume-mute');
+            speaker.classList.remove('controls-volume-low');
+            speaker.classList.remove('controls-volume-high');
+
+            if (value == 0) {
+                speaker.classList.add('controls-volume-mute');
+            }
+            if (value > 0.2) {
+                speaker.classList.add('controls-volume-low');
+            }
+            if (value > 0.6) {
+                speaker.classList.add('controls-volume-high');
+            }
+        };
+
+        video.internal.setVolumeSlider(video.getVolume());
+
+        addVideoVolumeListeners(video, volume, outer);
+    }
+
+    /**
+     * Add pointer listeners for the volume controls.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} volume - HTML element for the volume container.
+     * @param {object} slider - HTML element for the volume slider container.
+     */
+    function addVideoVolumeListeners(video, volume, slider) {
+
+        var click = false;
+
+        volume.addEventListener('mousedown', function(event) {
+
+            /* Avoid gaining focus on mouse down. */
+            event.preventDefault();
+        });
+
+        volume.addEventListener('pointerdown', function(event) {
+
+            var rel = getRelativePointerPosition(event.pageX, 0, slider);
+            click = rel.x === 0;
+        });
+
+        volume.addEventListener('pointerup', function(event) {
+
+            if (click) {
+                video.toggleVolume();
+            }
+        });
+
+        volume.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+
+            if ([13, 32, 37, 38, 39, 40].indexOf(code) !== -1) {
+                /* Handled here, not by the lecture keyboard bindings. */
+                event.preventDefault();
+                event.stopPropagation();
+            }
+
+            switch (code) {
+                /* Toggle on enter or space. */
+                case 13:
+                case 32:
+                    video.toggleVolume();
+                    break;
+                /* Increase volume on up or right. */
+                case 38:
+                case 39:
+                    video.setVolume(video.getVolume() + 0.05);
+                    break;
+                /* Decrease volume on left or down. */
+                case 37:
+                case 40:
+                    video.setVolume(video.getVolume() - 0.05);
+                    break;
+            }
+        });
+
+        function pointerDown(event) {
+
+            volume.classList.add('controls-volume-hover');
+            pointerMove(event);
+        }
+
+        function pointerMove(event) {
+
+            video.setVolume(getRelativePointerPosition(event.pageX, 0, slider).x);
+        }
+
+        function pointerUp(event) {
+
+            volume.classList.remove('controls-volume-hover');
+
+            if (event) {
+                pointerMove(event);
+            }
+        }
+
+        slider.addEventListener('pointerdown', pointerDownHandler(pointerDown, pointerMove, pointerUp));
+    }
+
+    /**
+     * Create and setup the video controls time indicators.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoTimeIndicator(video, controls) {
+
+        var time      = createElement('div', 'controls-time', controls);
+        var current   = createElement('span', time);
+        var separator = createElement('span', time);
+        var duration  = createElement('span', time);
+
+        /* The progress bar slider already reads the times. */
+        time.setAttribute('aria-hidden', 'true');
+
+          current.appendChild(document.createTextNode('0:00'));
+        separator.appendChild(document.createTextNode(' / '));
+         duration.appendChild(document.createTextNode('0:00'));
+
+        video.internal.setControlsPlayTime = function(time) {
+
+            time = clamp(0, time, video.data.duration);
+            current.firstChild.nodeValue = formatSeconds(time);
+        };
+
+        video.internal.setControlsDurationTime = function(time) {
+
+            video.data.duration = clamp(0, time, Infinity);
+            duration.firstChild.nodeValue = formatSeconds(video.data.duration);
+        };
+    }
+
+    /**
+     * Create and setup the video fullscreen button.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoFullScreenButton(video, controls) {
+
+        var button = createElement('div', 'controls-fullscreen', controls);
+        var symbol = createElement('div', 'controls-fullscreen-symbol', button);
+
+        button.setAttribute('tabindex', 0);
+        button.setAttribute('role', 'button');
+
+        video.internal.toggleFullScreen = function() {
+
+            video.lecture.setFullScreen(!video.lecture.isFullScreen());
+        };
+
+        video.internal.setFullScreenButton = function(fullscreen) {
+
+            if (fullscreen) {
+                button.classList.add('controls-fullscreen-exit');
+            } else {
+                button.classList.remove('controls-fullscreen-exit');
+            }
+
+            button.setAttribute('aria-label', fullscreen ? 'Exit full screen' : 'Full screen');
+        };
+
+        video.internal.setFullScreenButton(video.lecture.isFullScreen());
+
+        button.addEventListener('mousedown', function(event) {
+
+            /* Avoid gaining focus on mouse down. */
+            event.preventDefault();
+        });
+
+        button.addEventListener('click', video.internal.toggleFullScreen);
+
+        button.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+
+            /* Toggle on enter or space. */
+            if (code == 13 || code == 32) {
+                event.preventDefault();
+                event.stopPropagation();
+                video.internal.toggleFullScreen();
+            }
+        });
+    }
+
+    /**
+     * Create a control bar button with a popup menu.
+     *
+     * The menu can be used with the keyboard: enter or space open it and
+     * select an item, arrows move between items, and escape closes it.
+     *
+     * @param {object} controls - Parent controls HTML element.
+     * @param {string} className - CSS class of the button.
+     * @param {string} label - Button text.
+     * @param {string} title - Button accessible name.
+     * @param {function} onSelect - Called with the value of the selected item.
+     *
+     * @return {{button: object, setItems: function}} The button HTML element,
+     *         and a function to set the menu items ({label, value} objects)
+     *         and the selected value.
+     */
+    function createControlsMenu(controls, className, label, title, onSelect) {
+
+        var button = createElement('div', ['controls-menu-button', className], controls);
+        var text   = createElement('span', 'controls-menu-label', button);
+        var menu   = createElement('ul', 'controls-menu', button);
+
+        button.setAttribute('tabindex', 0);
+        button.setAttribute('role', 'button');
+        button.setAttribute('aria-label', title);
+        button.setAttribute('aria-haspopup', 'menu');
+        button.setAttribute('aria-expanded', 'false');
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', title);
+        text.setAttribute('aria-hidden', 'true');
+        text.textContent = label;
+
+        function open(focus) {
+
+            button.classList.add('controls-menu-open');
+            button.setAttribute('aria-expanded', 'true');
+
+            if (focus) {
+                var item = menu.querySelector('[aria-checked="true"]') || menu.firstChild;
+
+                if (item) {
+                    item.focus();
+                }
+            }
+        }
+
+        function close() {
+
+            if (menu.contains(document.activeElement)) {
+                button.focus();
+            }
+
+            button.classList.remove('controls-menu-open');
+            button.setAttribute('aria-expanded', 'false');
+        }
+
+        button.addEventListener('mousedown', function(event) {
+
+            /* Avoid gaining focus on mouse down. */
+            event.preventDefault();
+        });
+
+        button.addEventListener('click', function() {
+
+            if (button.classList.contains('controls-menu-open')) {
+                close();
+            } else {
+                open();
+            }
+        });
+
+        button.addEventListener('mouseleave', close);
+
+        button.addEventListener('focusout', function(event) {
+
+            if (!button.contains(event.relatedTarget)) {
+                close();
+            }
+        });
+
+        button.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+
+            /* Open on enter or space, close on escape. */
+            if (code == 13 || code == 32 || code == 27) {
+                event.preventDefault();
+                event.stopPropagation();
+
+                if (code == 27 || button.classList.contains('controls-menu-open')) {
+                    close();
+                } else {
+                    open(true);
+                }
+            }
+        });
+
+        menu.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+            var items = Array.prototype.slice.call(menu.childNodes);
+            var index = items.indexOf(document.activeElement);
+
+            switch (code) {
+                /* Select on enter or space. */
+                case 13:
+                case 32:
+                    if (index !== -1) {
+                        items[index].click();
+                    }
+                    break;
+                /* Move on up and down. */
+                case 38:
+                case 40:
+                    items[clamp(0, index + (code == 38 ? -1 : 1), items.length - 1)].focus();
+                    break;
+                /* Escape and tab are left to the button handler. */
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+            event.stopPropagation();
+        });
+
+        function setItems(items, selected) {
+
+            var focused = Array.prototype.indexOf.call(menu.childNodes, document.activeElement);
+
+            menu.textContent = '';
+
+            items.forEach(function(item) {
+
+                var entry = createElement('li', 'controls-menu-item', menu);
+
+                entry.textContent = item.label;
+                entry.setAttribute('role', 'menuitemradio');
+                entry.setAttribute('tabindex', -1);
+                entry.setAttribute('aria-checked', item.value === selected ? 'true' : 'false');
+
+                if (item.value === selected) {
+                    entry.classList.add('controls-menu-item-selected');
+                }
+
+                entry.addEventListener('click', function(event) {
+
+                    event.stopPropagation();
+                    close();
+                    onSelect(item.value);
+                });
+            });
+
+            /* Keep the keyboard focus when the menu is rebuilt while open. */
+            if (focused !== -1 && menu.childNodes.length) {
+                menu.childNodes[Math.min(focused, menu.childNodes.length - 1)].focus();
+            }
+        }
+
+        return {button: button, setItems: setItems};
+    }
+
+    /**
+     * Create and setup the video captions button and menu.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoCaptionsButton(video, controls) {
+
+        var menu = createControlsMenu(controls, 'controls-captions', 'CC', 'Captions', function(language) {
+            video.lecture.setCaptions(language);
+        });
+
+        video.internal.updateCaptionsMenu = function() {
+
+            var selected = video.lecture.getCaptions();
+            var items = [{label: 'Off', value: null}].concat(video.subtitles.map(function(subtitle) {
+                return {label: subtitle.label, value: subtitle.language};
+            }));
+
+            menu.setItems(items, selected);
+
+            if (video.subtitles.length) {
+                menu.button.classList.remove('controls-menu-button-empty');
+            } else {
+                menu.button.classList.add('controls-menu-button-empty');
+            }
+
+            if (selected) {
+                menu.button.classList.add('controls-captions-on');
+            } else {
+                menu.button.classList.remove('controls-captions-on');
+            }
+
+            menu.button.setAttribute('aria-label', 'Captions, ' + (items.filter(function(item) {
+                return item.value === selected;
+            })[0] || items[0]).label);
+        };
+
+        video.internal.updateCaptionsMenu();
+    }
+
+    /**
+     * Create and setup the video playback speed button and menu.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoSpeedButton(video, controls) {
+
+        var menu = createControlsMenu(controls, 'controls-speed', '1x', 'Playback speed', function(rate) {
+            video.setPlaybackRate(rate);
+        });
+
+        var items = playbackRates.map(function(rate) {
+            return {label: rate === 1 ? 'Normal' : rate + 'x', value: rate};
+        });
+
+        video.internal.updateSpeedMenu = function() {
+
+            var rate = video.getPlaybackRate();
+
+            menu.setItems(items, rate);
+            menu.button.firstChild.textContent = rate + 'x';
+            menu.button.setAttribute('aria-label', 'Playback speed, ' + (rate === 1 ? 'Normal' : rate + 'x'));
+        };
+
+        video.internal.updateSpeedMenu();
+    }
+
+    /**
+     * Create and setup the video chapters button and menu.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoChaptersButton(video, controls) {
+
+        var current;
+        var menu = createControlsMenu(controls, 'controls-chapters', 'Chapters', 'Chapters', function(time) {
+            video.setPosition(time);
+        });
+
+        video.internal.updateChaptersMenu = function(force) {
+
+            var chapter = video.getChapter(video.video.currentTime);
+
+            if (chapter === current && !force) {
+                return;
+            }
+
+            current = chapter;
+            menu.setItems(video.chapters.map(function(chapter) {
+                return {label: formatSeconds(chapter.time) + ' ' + chapter.title, value: chapter.time};
+            }), chapter ? chapter.time : null);
+
+            if (video.chapters.length) {
+                menu.button.classList.remove('controls-menu-button-empty');
+            } else {
+                menu.button.classList.add('controls-menu-button-empty');
+            }
+        };
+
+        video.internal.updateChaptersMenu(true);
+    }
+
+    /**
+     * Create and setup the video quality button and menu, shown when the
+     * video source handler provides quality levels.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} controls - Parent controls HTML element.
+     */
+    function createVideoQualityButton(video, controls) {
+
+        var menu = createControlsMenu(controls, 'controls-quality', 'Auto', 'Quality', function(level) {
+            video.setQualityLevel(level);
+        });
+
+        video.internal.updateQualityMenu = function() {
+
+            var levels = video.getQualityLevels();
+            var level = video.getQualityLevel();
+            var selected = levels.filter(function(item) {
+                return item.value === level;
+            })[0] || {label: 'Auto'};
+
+            menu.setItems(levels, level);
+            menu.button.firstChild.textContent = selected.label;
+            menu.button.setAttribute('aria-label', 'Quality, ' + selected.label);
+
+            if (levels.length) {
+                menu.button.classList.remove('controls-menu-button-empty');
+            } else {
+                menu.button.classList.add('controls-menu-button-empty');
+            }
+        };
+
+        video.internal.updateQualityMenu();
+    }
+
+    /**
+     * Add a WebVTT transitions file to this video.
+     *
+     * A transitions file has one or more transitions defined as follows:
+     *
+     * <pre>
+     * {from-time} --> {to-time}
+     * {target-name} {target-start-time}? pause? required? {effect}? (if {condition})? {hotspot}?
+     * </pre>
+     *
+     * {target-name} is quoted if it has spaces, e.g. "Part two" 0:30.
+     *
+     * {from-time} and {to-time} should always be the same, the time in the
+     * video at which the transition will occur, except in the case where the
+     * target is an Overlay and the video should keep playing, showing the
+     * overlay from {form-time} to {to-time}, or in the case of hotspots.
+     *
+     * If the target is a Video, {target-start-time} is the starting time of
+     * the video (if not set, continues from the target's last position) and,
+     * if present, pause indicates that the target video should be paused (if
+     * not set, the target video will start playing after the transition).
+     *
+     * If present, required indicates that seeking can't go past the
+     * transition until it's completed (see Video#addTransition).
+     *
+     * {effect} is the visual effect of the transition, as its name optionally
+     * followed by its duration and color, e.g. crossfade, slide:1 or
+     * fade:0.5:white (see Video#show).
+     *
+     * If present, {condition} is a condition on the lecture variables, with
+     * no spaces, like score>=3 or !skipped (see Video#addTransition).
+     *
+     * If present, {hotspot} makes the transition a hotspot, active from
+     * {from-time} to {to-time}, as hotspot:{x},{y},{width},{height}
+     * optionally followed by a quoted label, e.g. hotspot:0.1,0.5,0.2,0.3
+     * "Left door" (see Video#addHotspot).
+     *
+     * @memberof Video
+     *
+     * @param {string} source - Transition file URI.
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addTransitionFile = function(source) {
+
+        var node = createElement('track', this.video);
+        var that = this;
+
+        node.setAttribute('kind', 'metadata');
+        node.setAttribute('src', source);
+
+        this.internal.files.transitions.push(source);
+
+        node.addEventListener('load', function() {
+
+            var cues = this.track.cues;
+
+            for (var i = 0; i < cues.length; i++) {
+
+                var transition = parseTransition(cues[i].text);
+
+                transition.start = cues[i].startTime;
+                transition.end = cues[i].endTime;
+                transition.file = source;
+                that.scheduler.add(transition);
+
+                if (!transition.hotspot) {
+                    that.internal.addOverlayMarker(transition.start, transition.end);
+                }
+            }
+
+            /* A state may have been restored before the file was loaded. */
+            markRestoredTransitions(that);
+        });
+
+        /* Cues are only loaded for enabled tracks. */
+        node.track.mode = 'hidden';
+
+        return this;
+    };
+
+    /**
+     * Parse the text of a transition cue, with the format described in
+     * Video#addTransitionFile.
+     *
+     * @param {string} text - Cue text.
+     *
+     * @return {{target: string, time: number, play: boolean, required: boolean, effect: object,
+     *          condition: string, hotspot: object, invalid: string[]}}
+     *         Parsed transition. The time, effect, condition and hotspot are
+     *         undefined if not present, and invalid holds the tokens that
+     *         could not be parsed.
+     */
+    function parseTransition(text) {
+
+        var target;
+        var label;
+
+        /* Target names with spaces are quoted. */
+        text = text.trim().replace(/^"([^"]*)"/, function(match, value) {
+            target = value;
+            return '';
+        });
+
+        text = text.replace(/"([^"]*)"/, function(match, value) {
+            label = value;
+            return '';
+        });
+
+        var tokens = text.trim().split(/\s+/);
+
+        if (typeof target === 'string') {
+            tokens = tokens[0] ? [target].concat(tokens) : [target];
+        }
+        var transition = {target: tokens[0], play: true, required: false, invalid: []};
+        var condition = false;
+
+        tokens.slice(1).forEach(function(token) {
+
+            if (condition) {
+                condition = false;
+                transition.condition = token;
+                return;
+            }
+
+            if (token === 'if' && !transition.hasOwnProperty('condition')) {
+                condition = true;
+                return;
+            }
+
+            if (token === 'pause') {
+                transition.play = false;
+                return;
+            }
+
+            if (token === 'required') {
+                transition.required = true;
+                return;
+            }
+
+            var region = /^hotspot:(\d*\.?\d+),(\d*\.?\d+),(\d*\.?\d+),(\d*\.?\d+)$/.exec(token);
+
+            if (region && !transition.hotspot) {
+
+                var values = region.slice(1).map(parseFloat);
+
+                if (values.every(function(value) { return value <= 1; })) {
+                    transition.hotspot = {x: values[0], y: values[1], width: values[2], height: values[3]};
+                    return;
+                }
+            }
+
+            var effect = /^(none|crossfade|fade|slide)(?::([^:]+))?(?::(.+))?$/.exec(token);
+
+            if (effect && !transition.effect) {
+
+                transition.effect = {name: effect[1]};
+
+                if (effect[2]) {
+                    transition.effect.duration = parseSeconds(effect[2]);
+                }
+
+                if (effect[3]) {
+                    transition.effect.color = effect[3];
+                }
+
+                return;
+            }
+
+            var time = parseSeconds(token);
+
+            if (typeof time === 'number' && !isNaN(time) && !transition.hasOwnProperty('time')) {
+                transition.time = time;
+            } else {
+                transition.invalid.push(token);
+            }
+        });
+
+        if (condition) {
+            transition.invalid.push('if');
+        }
+
+        if (typeof label === 'string') {
+            if (transition.hotspot) {
+                transition.hotspot.label = label;
+            } else {
+                transition.invalid.push('"' + label + '"');
+            }
+        }
+
+        return transition;
+    }
+
+    /**
+     * Format a transition as the text of a transition cue, with the format
+     * described in Video#addTransitionFile.
+     *
+     * @param {Video} video - Source video.
+     * @param {object} transition - Transition.
+     *
+     * @return {string} Cue text, or null if the transition can't be written
+     *                  (it has a predicate condition or a condition with
+     *                  spaces, a hotspot callback, or no target or a target
+     *                  with quotes).
+     */
+    function formatTransition(video, transition) {
+
+        var hotspot = transition.hotspot;
+        var effect = transition.effect;
+        var target = transition.target;
+        var tokens = [/\s/.test(target) ? '"' + target + '"' : target];
+
+        if (!target || /"/.test(target) || typeof transition.condition === 'function' ||
+            /\s/.test(transition.condition) || (hotspot && hotspot.callback)) {
+            return null;
+        }
+
+        if (typeof transition.time === 'number') {
+            tokens.push(formatTimestamp(transition.time));
+        }
+
+        if (!transition.play) {
+            tokens.push('pause');
+        }
+
+        if (transition.required) {
+            tokens.push('required');
+        }
+
+        if (typeof effect === 'string') {
+            tokens.push(effect);
+        } else if (effect && effect.name) {
+            tokens.push(effect.name + (effect.duration || effect.color ?
+                        ':' + (effect.duration || video.lecture.options.effect.duration) : '') +
+                        (effect.color ? ':' + effect.color : ''));
+        }
+
+        if (transition.condition) {
+            tokens.push('if', transition.condition);
+        }
+
+        if (hotspot) {
+            tokens.push('hotspot:' + [hotspot.x, hotspot.y, hotspot.width, hotspot.height].join(','));
+
+            if (hotspot.label) {
+                tokens.push('"' + hotspot.label.replace(/"/g, '\'') + '"');
+            }
+        }
+
+        return tokens.join(' ');
+    }
+
+    /**
+     * Export the transitions of this video (added in code or loaded from
+     * files) as a transitions file, in the format read by
+     * Video#addTransitionFile.
+     *
+     * Transitions with a predicate condition (or a condition with spaces) or
+     * a hotspot callback can't be written, and are left out. Hotspots active
+     * until the end of the video end at its duration (or at 99:59:59.999, if
+     * not known yet).
+     *
+     * @example
+     * var blob = new Blob([video.exportTransitions()], {type: 'text/vtt'});
+     *
+     * @memberof Video
+     *
+     * @return {string} WebVTT transitions file.
+     */
+    Video.prototype.exportTransitions = function() {
+
+        var video = this;
+        var last = this.data.duration || 359999.999;
+
+        var cues = this.scheduler.transitions.map(function(transition) {
+
+            var text = formatTransition(video, transition);
+            var end = isFinite(transition.end) ? transition.end : Math.max(last, transition.start);
+
+            if (text === null) {
+                return null;
+            }
+
+            return formatTimestamp(transition.start) + ' --> ' + formatTimestamp(end) + '\n' + text;
+        });
+
+        return ['WEBVTT'].concat(cues.filter(function(cue) {
+            return cue !== null;
+        })).join('\n\n') + '\n';
+    };
+
+    /**
+     * Parse a condition on the lecture variables, that has one of the
+     * following formats:
+     * - {name}, true if the variable is truthy.
+     * - !{name}, true if the variable is falsy.
+     * - {name}{operator}{value}, where operator is one of ==, =, !=, <, <=,
+     *   > and >=, and value is a number, true, false, or a (quoted or
+     *   unquoted) string.
+     *
+     * @param {string} text - Condition text.
+     *
+     * @return {{name: string, negate: boolean, operator: string, value: *}}
+     *         Parsed condition, or null if invalid.
+     */
+    function parseCondition(text) {
+
+        var match = /^(!?)([\w.-]+)(?:(==|=|!=|<=|>=|<|>)([^=!<>].*))?$/.exec(String(text).trim());
+
+        if (!match || (match[1] && match[3])) {
+            return null;
+        }
+
+        var value = match[4];
+
+        if (/^-?(\d+\.?\d*|\.\d+)$/.test(value)) {
+            value = parseFloat(value);
+        } else if (value === 'true' || value === 'false') {
+            value = value === 'true';
+        } else if (/^(".*"|'.*')$/.test(value)) {
+            value = value.slice(1, -1);
+        }
+
+        return {name: match[2], negate: Boolean(match[1]), operator: match[3], value: value};
+    }
+
+    /**
+     * Test a transition condition.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {(string|function)} condition - Condition text (see parseCondition), or predicate called
+     *                                        with the lecture variables and the lecture.
+     *
+     * @return {boolean} Whether the condition holds (false if invalid).
+     */
+    function testCondition(lecture, condition) {
+
+        if (typeof condition === 'function') {
+            return Boolean(condition(lecture.variables, lecture));
+        }
+
+        var parsed = parseCondition(condition);
+
+        if (!parsed) {
+            return false;
+        }
+
+        var value = lecture.get(parsed.name);
+
+        switch (parsed.operator) {
+            case '==':
+            case '=':
+                return value == parsed.value;
+            case '!=':
+                return value != parsed.value;
+            case '<':
+                return value < parsed.value;
+            case '<=':
+                return value <= parsed.value;
+            case '>':
+                return value > parsed.value;
+            case '>=':
+                return value >= parsed.value;
+            default:
+                return parsed.negate ? !value : Boolean(value);
+        }
+    }
+
+    /**
+     * Choose one of several alternative branches: the first one whose
+     * condition holds or, if none does, the first one with no condition.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {object[]} branches - Branches, with an optional condition each.
+     *
+     * @return {object} The chosen branch, or null if there is none.
+     */
+    function chooseBranch(lecture, branches) {
+
+        return branches.filter(function(branch) {
+            return branch.condition && testCondition(lecture, branch.condition);
+        })[0] || branches.filter(function(branch) {
+            return !branch.condition;
+        })[0] || null;
+    }
+
+    /**
+     * Fire a video transition.
+     *
+     * @param {Video} source - Source video.
+     * @param {object} transition - Transition reached.
+     *
+     * @return {boolean} False if the source video stopped (so later
+     *                   transitions should wait), true otherwise.
+     */
+    function enterTransition(source, transition) {
+
+        var target = source.lecture.getComponent(transition.target);
+        var branches = [transition];
+
+        if (transition.hotspot) {
+            showHotspot(source, transition);
+            return true;
+        }
+
+        /* Transitions at the same times, some with conditions, are branches of a single one. */
+        var group = source.scheduler.transitions.filter(function(other) {
+            return other.start === transition.start && other.end === transition.end && !other.hotspot;
+        });
+
+        if (group.some(function(other) { return other.condition; })) {
+
+            if (chooseBranch(source.lecture, group) !== transition) {
+                return true;
+            }
+
+            branches = group;
+        }
+
+        function complete() {
+
+            branches.forEach(function(branch) {
+                branch.completed = true;
+            });
+        }
+
+        if (!target) {
+            return true;
+        }
+
+        emit(source, 'transition', {
+            target: target,
+            time: transition.start,
+            targetTime: transition.time,
+        });
+
+        if (target.constructor === Overlay) {
+            target.once('overlayhide', complete);
+        } else {
+            complete();
+        }
+
+        target.show(transition.effect);
+
+        if (target.constructor === Video) {
+
+            if (typeof transition.time === 'number') {
+                target.setPosition(transition.time);
+            }
+
+            if (transition.play) {
+                target.play();
+            }
+
+            return false;
+        }
+
+        if (transition.start === transition.end) {
+            source.pause();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Leave a ranged video transition, hiding its overlay (or hotspot).
+     *
+     * @param {Video} source - Source video.
+     * @param {object} transition - Transition left.
+     */
+    function exitTransition(source, transition) {
+
+        var target = source.lecture.getComponent(transition.target);
+
+        if (transition.hotspot) {
+            hideHotspot(source, transition);
+            return;
+        }
+
+        if (target && target.constructor === Overlay) {
+            target.hide(transition.effect);
+        }
+    }
+
+    /**
+     * Show the region of a hotspot transition, if its condition holds.
+     *
+     * @param {Video} source - Source video.
+     * @param {object} transition - Hotspot transition entered.
+     */
+    function showHotspot(source, transition) {
+
+        var hotspot = transition.hotspot;
+
+        if (transition.condition && !testCondition(source.lecture, transition.condition)) {
+            return;
+        }
+
+        var element = createElement('div', 'video-hotspot', source.internal.hotspotLayer);
+
+        element.style.left = hotspot.x * 100 + '%';
+        element.style.top = hotspot.y * 100 + '%';
+        element.style.width = hotspot.width * 100 + '%';
+        element.style.height = hotspot.height * 100 + '%';
+
+        element.setAttribute('role', 'button');
+        element.setAttribute('tabindex', 0);
+
+        if (hotspot.label) {
+            element.setAttribute('aria-label', hotspot.label);
+            createElement('div', 'video-hotspot-label', element).textContent = hotspot.label;
+        }
+
+        element.addEventListener('click', function(event) {
+
+            event.stopPropagation();
+            takeHotspot(source, transition);
+        });
+
+        element.addEventListener('keydown', function(event) {
+
+            var code = event.charCode || event.keyCode || event.which;
+
+            /* Take on enter or space. */
+            if (code == 13 || code == 32) {
+                event.preventDefault();
+                event.stopPropagation();
+                takeHotspot(source, transition);
+            }
+        });
+
+        source.internal.hotspots.push({transition: transition, element: element});
+    }
+
+    /**
+     * Remove the region of a hotspot transition.
+     *
+     * @param {Video} source - Source video.
+     * @param {object} transition - Hotspot transition left.
+     */
+    function hideHotspot(source, transition) {
+
+        source.internal.hotspots = source.internal.hotspots.filter(function(entry) {
+
+            if (entry.transition === transition) {
+                entry.element.parentNode.removeChild(entry.element);
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Take a hotspot transition after its region was clicked: call its
+     * callback, and show its target. Overlay targets pause the source video.
+     *
+     * @param {Video} source - Source video.
+     * @param {object} transition - Hotspot transition clicked.
+     */
+    function takeHotspot(source, transition) {
+
+        var hotspot = transition.hotspot;
+        var target = source.lecture.getComponent(transition.target);
+
+        emit(source, 'hotspotclick', {target: target, label: hotspot.label, time: source.video.currentTime});
+
+        if (hotspot.callback) {
+            hotspot.callback.call(source, source, hotspot);
+        }
+
+        if (!target) {
+            return;
+        }
+
+        transition.completed = true;
+
+        emit(source, 'transition', {
+            target: target,
+            time: source.video.currentTime,
+            targetTime: transition.time,
+        });
+
+        target.show(transition.effect);
+
+        if (target.constructor === Overlay) {
+            source.pause();
+            return;
+        }
+
+        if (typeof transition.time === 'number') {
+            target.setPosition(transition.time);
+        }
+
+        if (transition.play) {
+            target.play();
+        }
+    }
+
+    /**
+     * Preload the targets of the transitions the current video is about to
+     * reach, and stop preloading the ones it is no longer about to reach.
+     *
+     * Videos buffer from their target time (restoring their last position if
+     * the transition isn't taken), and overlays load their HTML source.
+     *
+     * @param {Video} video - Current video.
+     */
+    function preloadTargets(video) {
+
+        var lecture = video.lecture;
+        var options = lecture.options.preload;
+        var time = video.video.currentTime;
+
+        if (!options || lecture.currentVideo !== video) {
+            return;
+        }
+
+        var upcoming = video.scheduler.transitions.filter(function(transition) {
+            var target = lecture.getComponent(transition.target);
+            return target && target !== video && transition.start >= time &&
+                   transition.start - time <= options.ahead * video.getPlaybackRate();
+        }).slice(0, options.budget);
+
+        lecture.internal.preloading = lecture.internal.preloading.filter(function(entry) {
+
+            var keep = upcoming.indexOf(entry.transition) !== -1;
+
+            if (!keep && entry.target !== lecture.currentVideo) {
+                entry.target.video.preload = 'metadata';
+
+                if (typeof entry.restore === 'number') {
+                    entry.target.video.currentTime = entry.restore;
+                }
+            }
+
+            return keep;
+        });
+
+        upcoming.forEach(function(transition) {
+
+            var target = lecture.getComponent(transition.target);
+            var preloading = lecture.internal.preloading.some(function(entry) {
+                return entry.transition === transition;
+            });
+
+            if (target.constructor === Overlay) {
+                loadOverlay(target);
+                return;
+            }
+
+            if (preloading || target === lecture.currentVideo) {
+                return;
+            }
+
+            var entry = {transition: transition, target: target};
+
+            target.video.preload = 'auto';
+
+            if (typeof transition.time === 'number') {
+                entry.restore = target.video.currentTime;
+                target.video.currentTime = transition.time;
+            }
+
+            lecture.internal.preloading.push(entry);
+        });
+    }
+
+    /**
+     * Guess the MIME type of a video source from its extension.
+     *
+     * @param {string} source - Video source URI.
+     *
+     * @return {string} The MIME type, or undefined if unknown.
+     */
+    function getVideoType(source) {
+
+        var path = source.split(/[?#]/)[0];
+
+        for (var type in videoMIME) {
+            if (videoMIME[type].test(path)) {
+                return type;
+            }
+        }
+    }
+
+    /**
+     * Add a video source. Use this method to provide several video
+     * formats/encodings. At least the mp4 and webm formats should be availa
+     * for the video to play in all major browsers.
+     *
+     * If a registered source handler can handle the source (e.g. an HLS or
+     * DASH adapter), it is attached to the video instead, unless another
+     * handler was already attached (see Lecture.registerSourceHandler).
+     *
+     * @memberof Video
+     *
+     * @param {string} source - Video source URI.
+     * @param {string} [type] - Video MIME type.
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addVideoSource = function(source, type) {
+
+        var video = this;
+
+        if (typeof type === 'undefined') {
+            type = getVideoType(source);
+        }
+
+        this.sources.push({src: source, type: type});
+
+        var handler = sourceHandlers.filter(function(handler) {
+            return handler.canHandle(source, type);
+        })[0];
+
+        if (handler) {
+
+            if (!this.internal.sourceHandler) {
+                this.internal.sourceHandler = handler.attach(this.video, source, function() {
+                    video.internal.updateQualityMenu();
+                    emit(video, 'qualitychange', {level: video.getQualityLevel()});
+                });
+                this.internal.updateQualityMenu();
+            }
+
+            return this;
+        }
+
+        var node = createElement('source', this.video);
+
+        node.setAttribute('src', source);
+
+        if (type) {
+            node.setAttribute('type', type);
+        }
+
+        return this;
+    };
+
+    /**
+     * Get the quality levels of the video, as provided by its source handler.
+     * The automatic level has value -1.
+     *
+     * @memberof Video
+     *
+     * @return {object[]} The {label, value} levels (empty if the quality
+     *                    can't be selected).
+     */
+    Video.prototype.getQualityLevels = function() {
+
+        var handler = this.internal.sourceHandler;
+        var levels = handler ? handler.getLevels() : [];
+
+        return levels.length ? [{label: 'Auto', value: -1}].concat(levels) : [];
+    };
+
+    /**
+     * Get the selected quality level of the video.
+     *
+     * @memberof Video
+     *
+     * @return {number} The selected level value (-1 is automatic).
+     */
+    Video.prototype.getQualityLevel = function() {
+
+        var handler = this.internal.sourceHandler;
+
+        return handler ? handler.getLevel() : -1;
+    };
+
+    /**
+     * Select a quality level of the video.
+     *
+     * @memberof Video
+     *
+     * @param {number} level - Level value (-1 is automatic, see Video#getQualityLevels).
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.setQualityLevel = function(level) {
+
+        var handler = this.internal.sourceHandler;
+
+        if (handler && level !== handler.getLevel()) {
+            handler.setLevel(level);
+            this.internal.updateQualityMenu();
+            emit(this, 'qualitychange', {level: level});
+        }
+
+        return this;
+    };
+
+    /**
+     * Add a subtitle track to the video. Subtitles are listed in the captions
+     * menu, and rendered by the lecture (see Lecture#setCaptions).
+     *
+     * @memberof Video
+     *
+     * @param {string} language - Language of the subtitles (en, es, ...).
+     * @param {string} source - Subtitles file URI.
+     * @param {string} [label] - Name of the subtitles in the captions menu (default is the language).
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addSubtitle = function(language, source, label) {
+
+        var node = createElement('track', this.video);
+        var lecture = this.lecture;
+        var video = this;
+
+        node.setAttribute('kind', 'subtitles');
+        node.setAttribute('src', source);
+        node.setAttribute('srclang', language);
+        node.setAttribute('label', label || language);
+
+        node.track.mode = lecture.getCaptions() === language ? 'hidden' : 'disabled';
+        node.track.addEventListener('cuechange', function() {
+
+            if (lecture.currentVideo === video) {
+                renderCaptions(lecture);
+            }
+        });
+
+        this.subtitles.push({language: language, label: label || language, source: source, track: node.track});
+        this.internal.updateCaptionsMenu();
+
+        return this;
+    };
+
+    /**
+     * Add a chapter to the video. Chapters are shown as markers on the
+     * progress bar, and listed in the chapters menu.
+     *
+     * @memberof Video
+     *
+     * @param {number} time - Chapter start time.
+     * @param {string} title - Chapter title.
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addChapter = function(time, title) {
+
+        insertChapter(this, {time: time, title: title});
+
+        return this;
+    };
+
+    /**
+     * Insert a chapter in the sorted chapters of a video.
+     *
+     * @param {Video} video - Parent Video.
+     * @param {object} chapter - Chapter, with time, title and the URI of its file (if any).
+     */
+    function insertChapter(video, chapter) {
+
+        video.chapters.push(chapter);
+        video.chapters.sort(function(a, b) {
+            return a.time - b.time;
+        });
+
+        video.internal.renderChapterMarkers();
+        video.internal.updateChaptersMenu(true);
+    }
+
+    /**
+     * Add a WebVTT chapters file to the video. Each cue start time and text
+     * are used as a chapter time and title.
+     *
+     * @see Video#addChapter
+     * @memberof Video
+     *
+     * @param {string} source - Chapters file URI.
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addChapterFile = function(source) {
+
+        var node = createElement('track', this.video);
+        var that = this;
+
+        node.setAttribute('kind', 'chapters');
+        node.setAttribute('src', source);
+
+        this.internal.files.chapters.push(source);
+
+        node.addEventListener('load', function() {
+
+            var cues = this.track.cues;
+
+            for (var i = 0; i < cues.length; i++) {
+                insertChapter(that, {time: cues[i].startTime, title: cues[i].text, file: source});
+            }
+        });
+
+        /* Cues are only loaded for enabled tracks. */
+        node.track.mode = 'hidden';
+
+        return this;
+    };
+
+    /**
+     * Get the chapter at a given time.
+     *
+     * @memberof Video
+     *
+     * @param {number} time - Number of seconds.
+     *
+     * @return {{time: number, title: string}} Chapter, or null if there is none.
+     */
+    Video.prototype.getChapter = function(time) {
+
+        var chapter = null;
+
+        this.chapters.forEach(function(candidate) {
+            if (candidate.time <= time) {
+                chapter = candidate;
+            }
+        });
+
+        return chapter;
+    };
+
+    /**
+     * Add a WebVTT thumbnails file to the video, used to preview the video
+     * when hovering the progress bar. Each cue text is an image URI (relative
+     * to the file), usually of a sprite sheet with a media fragment that
+     * gives the thumbnail region:
+     *
+     * <pre>
+     * 00:00.000 --> 00:05.000
+     * thumbnails.jpg#xywh=0,0,160,90
+     * </pre>
+     *
+     * @memberof Video
+     *
+     * @param {string} source - Thumbnails file URI.
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addThumbnails = function(source) {
+
+        var node = createElement('track', this.video);
+        var that = this;
+
+        node.setAttribute('kind', 'metadata');
+        node.setAttribute('src', source);
+
+        this.internal.files.thumbnails.push(source);
+
+        node.addEventListener('load', function() {
+
+            var cues = this.track.cues;
+
+            for (var i = 0; i < cues.length; i++) {
+
+                var parts = cues[i].text.trim().split('#xywh=');
+                var region = (parts[1] || '').split(',').map(Number);
+
+                that.thumbnails.push({
+                    start: cues[i].startTime,
+                    end: cues[i].endTime,
+                    url: new window.URL(parts[0], node.src).href,
+                    x: region[0] || 0,
+                    y: region[1] || 0,
+                    width: region[2],
+                    height: region[3],
+                });
+            }
+        });
+
+        /* Cues are only loaded for enabled tracks. */
+        node.track.mode = 'hidden';
+
+        return this;
+    };
+
+    /**
+     * Get the preview thumbnail at a given time.
+     *
+     * @see Video#addThumbnails
+     * @memberof Video
+     *
+     * @param {number} time - Number of seconds.
+     *
+     * @return {{url: string, x: number, y: number, width: number, height: number}}
+     *         Thumbnail image URI and region, or null if there is none.
+     */
+    Video.prototype.getThumbnail = function(time) {
+
+        for (var i = 0; i < this.thumbnails.length; i++) {
+            if (this.thumbnails[i].start <= time && time < this.thumbnails[i].end) {
+                return this.thumbnails[i];
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Add a transition to another component.
+     *
+     * @memberof Video
+     *
+     * @param {object}  target - Target Video or Overlay.
+     * @param {number}  time - When to trigger the transition.
+     * @param {object}  [options] - Transition configuration options.
+     * @param {number}  [options.time] - Start time of the target Video (if not set, continue from last position).
+     * @param {boolean} [options.play=true] - Start playing the target Video automatically.
+     * @param {number}  [options.duration=0] - If not 0, duration of the Overlay (and video will continue playing).
+     * @param {boolean} [options.required=false] - Whether seeks must stop at the transition until it's completed
+     *                                             (its target Video is shown, or its target Overlay is hidden).
+     * @param {(string|object)} [options.effect] - Visual effect of the transition (see Video#show).
+     * @param {(string|function)} [options.condition] - Condition on the lecture variables, either as text
+     *                                                  (e.g. 'score>=3', see Video#addTransitionFile) or
+     *                                                  as a predicate called with the variables and the
+     *                                                  lecture. Of the transitions at the same times, the
+     *                                                  first one whose condition holds is fired, or else
+     *                                                  the first one with no condition.
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addTransition = function(target, time, options) {
+
+        options = options || {};
+        extend(options, this.options.transition);
+
+        this.scheduler.add({
+            target: target.name,
+            start: time,
+            end: time + options.duration,
+            time: options.time,
+            play: options.play,
+            required: Boolean(options.required),
+            effect: options.effect,
+            condition: options.condition,
+            invalid: [],
+        });
+
+        this.internal.addOverlayMarker(time, time + options.duration);
+
+        return this;
+    };
+
+    /**
+     * Add a hotspot: a clickable region of the video, active over a time
+     * range, that fires a transition to another component, or calls a
+     * function, when clicked.
+     *
+     * The region is relative to the video picture, so it follows the video
+     * as it's scaled. Hotspots at the same time are alternatives, e.g. to
+     * choose one of several branches.
+     *
+     * @example
+     * video.addHotspot(leftRoom, 30, {x: 0.1, y: 0.3, width: 0.2, height: 0.5, label: 'Left door'})
+     *      .addHotspot(rightRoom, 30, {x: 0.7, y: 0.3, width: 0.2, height: 0.5, label: 'Right door'});
+     *
+     * @memberof Video
+     *
+     * @param {object}  target - Target Video or Overlay (null to only call the callback).
+     * @param {number}  time - When the hotspot becomes active.
+     * @param {object}  [options] - Hotspot configuration options.
+     * @param {number}  [options.x=0] - Left edge of the region, relative to the video width (from 0 to 1).
+     * @param {number}  [options.y=0] - Top edge of the region, relative to the video height (from 0 to 1).
+     * @param {number}  [options.width=1] - Width of the region, relative to the video width.
+     * @param {number}  [options.height=1] - Height of the region, relative to the video height.
+     * @param {number}  [options.duration] - How long the hotspot is active (default is until the end).
+     * @param {string}  [options.label] - Shown when hovering the hotspot, and read by screen readers.
+     * @param {function} [options.callback] - Called with the video and the hotspot when clicked.
+     * @param {number}  [options.time] - Start time of the target Video (if not set, continue from last position).
+     * @param {boolean} [options.play=true] - Start playing the target Video automatically.
+     * @param {(string|object)} [options.effect] - Visual effect of the transition (see Video#show).
+     * @param {(string|function)} [options.condition] - Condition on the lecture variables to show the
+     *                                                  hotspot, tested when it becomes active (see
+     *                                                  Video#addTransition).
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.addHotspot = function(target, time, options) {
+
+        options = options || {};
+        extend(options, {x: 0, y: 0, width: 1, height: 1, duration: Infinity});
+        extend(options, this.options.transition);
+
+        this.scheduler.add({
+            target: target ? target.name : undefined,
+            start: time,
+            end: time + options.duration,
+            time: options.time,
+            play: options.play,
+            required: false,
+            effect: options.effect,
+            condition: options.condition,
+            hotspot: {
+                x: options.x,
+                y: options.y,
+                width: options.width,
+                height: options.height,
+                label: options.label,
+                callback: options.callback,
+            },
+            invalid: [],
+        });
+
+        return this;
+    };
+
+    /**
+     * Set the video volume.
+     *
+     * @memberof Video
+     *
+     * @param {number} value - New volume value, in [0, 1].
+     */
+    Video.prototype.setVolume = function(value) {
+
+        this.data.volume = clamp(0, value, 1);
+        this.video.muted = false;
+        applyVolume(this);
+    };
+
+    /**
+     * Set the volume of the HTML video: the user volume, times the volume
+     * factor of the audio crossfade running (if any).
+     *
+     * @param {Video} video - The video.
+     */
+    function applyVolume(video) {
+
+        video.video.volume = video.data.volume * video.internal.volumeFactor;
+    }
+
+    /**
+     * Get the video volume.
+     *
+     * @memberof Video
+     *
+     * @return {number} Volume value, in [0, 1].
+     */
+    Video.prototype.getVolume = function() {
+
+        return this.video.muted ? 0 : this.data.volume;
+    };
+
+    /**
+     * Toggle the video between mute and unmute.
+     *
+     * @memberof Video
+     */
+    Video.prototype.toggleVolume = function() {
+
+        this.video.muted = !this.video.muted;
+
+        if (!this.video.muted && this.data.volume === 0) {
+            this.data.volume = 0.05;
+            applyVolume(this);
+        }
+    };
+
+    /**
+     * Set the current video reproduction position. Seeking forward stops at
+     * the first required transition that is not completed, and fires it.
+     *
+     * @memberof Video
+     *
+     * @param {number} time - Number of seconds.
+     */
+    Video.prototype.setPosition = function(time) {
+
+        var from = this.video.currentTime;
+        var blocker = this.scheduler.getBlocker(time);
+
+        if (blocker) {
+
+            if (from === blocker.start) {
+                /* Already stopped there, waiting for the transition. */
+                return;
+            }
+
+            time = blocker.start;
+        }
+
+        this.data.currentTime = time;
+        this.video.currentTime = time;
+        this.scheduler.seek(time);
+
+        if (blocker) {
+            this.scheduler.update();
+        }
+
+        emit(this, 'seek', {from: from, time: time});
+    };
+
+    /**
+     * Set the video playback rate. The rate is kept for the whole lecture,
+     * so it carries over to other videos.
+     *
+     * @memberof Video
+     *
+     * @param {number} rate - Playback rate (1 is normal speed).
+     *
+     * @return {Video} This video, to allow method chaining.
+     */
+    Video.prototype.setPlaybackRate = function(rate) {
+
+        this.lecture.internal.playbackRate = rate;
+        this.video.defaultPlaybackRate = rate;
+        this.video.playbackRate = rate;
+
+        return this;
+    };
+
+    /**
+     * Get the video playback rate.
+     *
+     * @memberof Video
+     *
+     * @return {number} Playback rate (1 is normal speed).
+     */
+    Video.prototype.getPlaybackRate = function() {
+
+        return this.video.playbackRate;
+    };
+
+    /**
+     * Toggle video reproduction.
+     *
+     * @memberof Video
+     */
+    Video.prototype.toggle = function() {
+
+        if (this.video.paused) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    };
+
+    /**
+     * Start video reproduction.
+     *
+     * @memberof Video
+     */
+    Video.prototype.play = function() {
+
+        this.show();
+
+        if (this.video.paused && !this.lecture.showingOverlay()) {
+            this.video.play();
+            this.internal.showVideoPauseButton();
+        }
+    };
+
+    /**
+     * Stop video reproduction.
+     *
+     * @memberof Video
+     */
+    Video.prototype.pause = function() {
+
+        this.video.pause();
+        this.internal.showVideoPlayButton();
+        this.internal.showFullProgressBar();
+        this.data.currentTime = this.video.currentTime;
+    };
+
+    /**
+     * Resolve a visual effect, filling the missing options with the lecture
+     * default effect.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {(string|object)} [effect] - Effect name or options.
+     *
+     * @return {{name: string, duration: number, color: string, audio: boolean}} The effect.
+     */
+    function getEffect(lecture, effect) {
+
+        var result = {};
+
+        extend(result, typeof effect === 'string' ? {name: effect} : effect);
+        extend(result, lecture.options.effect);
+
+        return result;
+    }
+
+    /**
+     * Run an animation on every frame for a given duration.
+     *
+     * @param {number} duration - Duration, in seconds.
+     * @param {function} step - Called on every frame with the progress, in [0, 1].
+     * @param {function} done - Called once the animation ends.
+     *
+     * @return {{finish: function}} Animation handle, to end it right away.
+     */
+    function animate(duration, step, done) {
+
+        var start = Date.now();
+        var finished = false;
+        var handle;
+
+        function finish() {
+
+            if (!finished) {
+                finished = true;
+                window.cancelAnimationFrame(handle);
+                step(1);
+                done();
+            }
+        }
+
+        function frame() {
+
+            var progress = (Date.now() - start) / (1000 * duration);
+
+            if (progress >= 1) {
+                finish();
+            } else {
+                step(progress);
+                handle = window.requestAnimationFrame(frame);
+            }
+        }
+
+        if (duration > 0) {
+            step(0);
+            handle = window.requestAnimationFrame(frame);
+        } else {
+            finish();
+        }
+
+        return {finish: finish};
+    }
+
+    /**
+     * Show or hide the HTML container of a component with a visual effect.
+     * An effect still running on the component is ended first.
+     *
+     * @param {(Video|Overlay)} component - The component.
+     * @param {boolean} show - Whether to show or hide it.
+     * @param {object} effect - The effect (see getEffect).
+     */
+    function runEffect(component, show, effect) {
+
+        var lecture = component.lecture;
+        var container = component.container;
+        var layer = lecture.internal.effectLayer;
+        var className = component.constructor === Video ? 'video-show' : 'overlay-show';
+        var toggled = false;
+        var step;
+
+        if (component.internal.effect) {
+            component.internal.effect.finish();
+        }
+
+        function toggle() {
+
+            if (!toggled) {
+                toggled = true;
+                container.classList[show ? 'add' : 'remove'](className);
+            }
+        }
+
+        switch (effect.name) {
+            case 'crossfade':
+                /* Incoming videos fade in over outgoing ones, that are kept. */
+                if (show) {
+                    toggle();
+                    container.classList.add('effect-entering');
+                }
+                step = function(progress) {
+                    if (show || component.constructor === Overlay) {
+                        container.style.opacity = show ? progress : 1 - progress;
+                    }
+                };
+                break;
+            case 'fade':
+                layer.style.background = effect.color;
+                layer.style.zIndex = lecture.zIndexCount + 1;
+                layer.classList.add('lecture-effect-show');
+                step = function(progress) {
+                    layer.style.opacity = 1 - Math.abs(2 * progress - 1);
+                    if (progress >= 0.5) {
+                        toggle();
+                    }
+                };
+                break;
+            case 'slide':
+                /* Incoming containers slide in from the right, outgoing ones out to the left. */
+                if (show) {
+                    toggle();
+                }
+                lecture.container.classList.add('lecture-container-sliding');
+                step = function(progress) {
+                    var offset = show ? 100 * (1 - progress) : -100 * progress;
+                    container.style.webkitTransform = 'translateX(' + offset + '%)';
+                    container.style.transform = 'translateX(' + offset + '%)';
+                };
+                break;
+            default:
+                toggle();
+                return;
+        }
+
+        container.classList.add('effect-running');
+
+        component.internal.effect = animate(effect.duration, step, function() {
+
+            toggle();
+            container.classList.remove('effect-running');
+            container.classList.remove('effect-entering');
+            container.style.opacity = '';
+            container.style.webkitTransform = '';
+            container.style.transform = '';
+            layer.classList.remove('lecture-effect-show');
+            lecture.container.classList.remove('lecture-container-sliding');
+            component.internal.effect = null;
+        });
+    }
+
+    /**
+     * Fade the audio of a video in or out, without changing its volume.
+     *
+     * @param {Video} video - The video.
+     * @param {boolean} fadeIn - Whether to fade in or out.
+     * @param {number} duration - Duration, in seconds.
+     * @param {function} [done] - Called once the fade ends.
+     */
+    function fadeVolume(video, fadeIn, duration, done) {
+
+        /* A fade still running is taken over from its current factor. */
+        var from = video.internal.volumeFade ? video.internal.volumeFactor : fadeIn ? 0 : 1;
+        var to = fadeIn ? 1 : 0;
+
+        if (video.internal.volumeFade) {
+            video.internal.volumeFade.finish();
+        }
+
+        video.internal.fadingVolume = true;
+        video.internal.volumeFade = animate(duration * Math.abs(to - from), function(progress) {
+            video.internal.volumeFactor = from + (to - from) * progress;
+            applyVolume(video);
+        }, function() {
+            video.internal.volumeFactor = 1;
+            video.internal.volumeFade = null;
+            applyVolume(video);
+            video.internal.fadingVolume = false;
+
+            if (done) {
+                done();
+            }
+        });
+    }
+
+    /**
+     * Show video HTML element, hiding the current video.
+     *
+     * @memberof Video
+     *
+     * @param {(string|object)} [effect] - Visual effect, either its name ('none', 'crossfade', 'fade'
+     *                                     through a color, or 'slide') or its options (default is the
+     *                                     lecture effect).
+     * @param {string}  [effect.name='none'] - Effect name.
+     * @param {number}  [effect.duration=0.5] - Effect duration, in seconds.
+     * @param {string}  [effect.color='black'] - Color to fade through, for the 'fade' effect.
+     * @param {boolean} [effect.audio=false] - Whether to crossfade the audio of the videos.
+     */
+    Video.prototype.show = function(effect) {
+
+        if (this.lecture.currentVideo === this) {
+            return;
+        }
+
+        var previous = this.lecture.currentVideo;
+
+        effect = getEffect(this.lecture, effect);
+
+        if (previous) {
+            previous.hide(effect);
+        }
+
+        this.lecture.currentVideo = this;
+        this.video.preload = 'auto';
+        runEffect(this, true, effect);
+
+        if (previous && effect.audio && effect.name !== 'none') {
+            fadeVolume(this, true, effect.duration);
+        }
+
+        if (this.getPlaybackRate() !== this.lecture.internal.playbackRate) {
+            this.setPlaybackRate(this.lecture.internal.playbackRate);
+        }
+
+        emit(this, 'videochange', {source: previous, target: this});
+    };
+
+    /**
+     * Hide video HTML element.
+     *
      * @memberof Video
      *
-     * @param {object}  target - Target Video or Overlay.
-     * @param {number}  time - When to trigger the transition.
-     * @param {object}  [options] - Transition configuration options.
-     * @param {number}  [options.time] - Start time of the target Video (if not set, continue from last position).
-     * @param {boolean} [options.play=true] - Start playing the target Video automatically.
-     * @param {number}  [options.duration=0] - If not 0, duration of the Overlay (and video will continue playing).
+     * @param {(string|object)} [effect] - Visual effect (see Video#show). With an audio crossfade,
+     *                                     the video is paused once its audio is faded out.
+     */
+    Video.prototype.hide = function(effect) {
+
+        if (this.lecture.currentVideo !== this) {
+            return;
+        }
+
+        var video = this;
+
+        effect = getEffect(this.lecture, effect);
+
+        if (effect.audio && effect.name !== 'none' && !this.video.paused) {
+            this.scheduler.stop();
+            fadeVolume(this, false, effect.duration, function() {
+                if (video.lecture.currentVideo !== video) {
+                    video.pause();
+                }
+            });
+        } else {
+            this.pause();
+        }
+
+        this.lecture.currentVideo = null;
+        this.video.preload = 'metadata';
+        runEffect(this, false, effect);
+    };
+
+    /**
+     * Create an Overlay component.
+     *
+     * @see Lecture#addOverlay
+     * @constructor
+     * @name Overlay
+     *
+     * @param {Lecture} lecture - Parent lecture.
+     * @param {string}  name - Overlay unique name.
+     * @param {(string|object|function)} source - Overlay source URI, or inline content.
+     * @param {object}  options - Overlay configuration options.
+     */
+    function Overlay(lecture, name, source, options) {
+
+        lecture.overlays[name] = this;
+
+        this.lecture = lecture;
+        this.name = name;
+        this.source = source;
+        this.options = options;
+        this.listeners = {};
+        this.internal = {};
+
+        this.container = createElement('div', 'overlay-container');
+        this.container.overlay = this;
+        this.container.setAttribute('role', 'dialog');
+        this.container.setAttribute('aria-label', getLabel(this));
+        this.container.setAttribute('tabindex', -1);
+
+        createOverlayElements(this);
+
+        lecture.container.appendChild(this.container);
+    }
+
+    /**
+     * Create and setup the overlay HTML elements.
+     *
+     * @param {Overlay} overlay - Parent Overlay.
+     */
+    function createOverlayElements(overlay) {
+
+        var background = createElement('div', 'overlay-background', overlay.container);
+
+        background.style.opacity = overlay.options.opacity;
+        background.style.background = overlay.options.background;
+
+        if (!overlay.source) {
+            /* Content is provided by the caller (e.g. a quiz). */
+            return;
+        }
+
+        if (isInlineSource(overlay.source)) {
+            createInlineOverlayElements(overlay);
+            return;
+        }
+
+        var foreground = createElement('iframe', 'overlay-foreground', overlay.container);
+
+        overlay.internal.frame = foreground;
+
+        /* Loaded ahead of time, or when shown (see preloadTargets). */
+        if (!overlay.lecture.options.preload) {
+            loadOverlay(overlay);
+        }
+
+        foreground.setAttribute('seamless', 'seamless');
+        foreground.setAttribute('title', getLabel(overlay));
+
+        if (overlay.options.sandbox) {
+            foreground.setAttribute('sandbox', overlay.options.sandbox);
+        }
+
+        /* Sandboxed documents without allow-same-origin have an opaque origin. */
+        overlay.internal.origin = overlay.options.sandbox &&
+                                  overlay.options.sandbox.split(/\s+/).indexOf('allow-same-origin') === -1 ?
+                                  'null' : new window.URL(overlay.source, document.baseURI).origin;
+
+        overlay.on('overlayshow', function(event) {
+            postToOverlay(overlay, 'show', {time: event.time});
+        });
+
+        overlay.on('overlayhide', function(event) {
+            postToOverlay(overlay, 'hide', {time: event.time});
+        });
+
+        foreground.addEventListener('load', function() {
+
+            /* Cross-origin and opaque origin overlays can only use the postMessage bridge. */
+            if (!this.contentDocument) {
+                return;
+            }
+
+            function doTransition(options) {
+                frameElement.parentNode.overlay.doTransition(options);
+            }
+
+            function setVariable(key, value) {
+                frameElement.parentNode.overlay.lecture.set(key, value);
+            }
+
+            function getVariable(key) {
+                return frameElement.parentNode.overlay.lecture.get(key);
+            }
+
+            var head = this.contentDocument.getElementsByTagName('head')[0];
+            var body = this.contentDocument.getElementsByTagName('body')[0];
+
+            body.style.margin = '20px';
+
+            var script = this.contentDocument.createElement('script');
+
+            script.type = 'text/javascript';
+            script.text = [doTransition, setVariable, getVariable].join('\n');
+
+            head.appendChild(script);
+        });
+    }
+
+    /**
+     * Check whether an overlay source is inline content rather than a URI.
+     *
+     * @param {(string|object|function)} source - Overlay source.
+     *
+     * @return {boolean} True for HTML strings, DOM nodes and render functions.
+     */
+    function isInlineSource(source) {
+
+        return typeof source !== 'string' || /^\s*</.test(source);
+    }
+
+    /**
+     * Parse the value of a data-transition attribute: a JSON object or array
+     * of overlay transition options, or a target name.
+     *
+     * @param {string} value - Attribute value.
+     *
+     * @return {(object|object[])} Overlay transition options, or null if invalid.
+     */
+    function parseTransitionAttribute(value) {
+
+        var options;
+
+        value = (value || '').trim();
+
+        if (!/^[\[{]/.test(value)) {
+            return value ? {target: value} : {};
+        }
+
+        try {
+            options = JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+
+        var valid = [].concat(options).every(function(branch) {
+            return branch && typeof branch === 'object' && !Array.isArray(branch);
+        });
+
+        return valid ? options : null;
+    }
+
+    /**
+     * Render the inline content of an overlay into its container.
+     *
+     * Elements with a data-transition attribute fire an overlay transition
+     * when clicked. Render functions get a scoped API instead of the globals
+     * injected in overlay documents.
+     *
+     * @param {Overlay} overlay - Overlay with an inline source.
+     */
+    function createInlineOverlayElements(overlay) {
+
+        var source = overlay.source;
+        var content = createElement('div', 'overlay-inline', overlay.container);
+
+        overlay.internal.content = content;
+
+        if (typeof source === 'function') {
+            source(content, {
+                overlay: overlay,
+                lecture: overlay.lecture,
+                doTransition: function(options) {
+                    overlay.doTransition(options);
+                },
+                set: function(key, value) {
+                    overlay.lecture.set(key, value);
+                },
+                get: function(key) {
+                    return overlay.lecture.get(key);
+                },
+            });
+        } else if (typeof source === 'string') {
+            content.innerHTML = source;
+        } else if (source.content && source.tagName === 'TEMPLATE') {
+            content.appendChild(document.importNode(source.content, true));
+        } else {
+            content.appendChild(source);
+        }
+
+        /* Let Lecture#validate know about the declared transitions. */
+        overlay.internal.targets = [];
+        overlay.internal.invalid = [];
+
+        [].forEach.call(content.querySelectorAll('[data-transition]'), function(element) {
+
+            var value = element.getAttribute('data-transition');
+            var options = parseTransitionAttribute(value);
+
+            if (!options) {
+                overlay.internal.invalid.push(value);
+                return;
+            }
+
+            [].concat(options).forEach(function(transition) {
+
+                if (transition.target && overlay.internal.targets.indexOf(transition.target) === -1) {
+                    overlay.internal.targets.push(transition.target);
+                }
+            });
+        });
+
+        content.addEventListener('click', function(event) {
+
+            var element = event.target;
+
+            while (element && element !== content && !element.hasAttribute('data-transition')) {
+                element = element.parentNode;
+            }
+
+            if (!element || element === content) {
+                return;
+            }
+
+            var options = parseTransitionAttribute(element.getAttribute('data-transition'));
+
+            event.preventDefault();
+
+            /* Invalid attributes are reported by Lecture#validate. */
+            if (options) {
+                overlay.doTransition(options);
+            }
+        });
+    }
+
+    /**
+     * Post a message of the overlay bridge protocol to an overlay document.
+     *
+     * @param {Overlay} overlay - Target Overlay.
+     * @param {string} type - Message type (ready, show, hide, response or error).
+     * @param {*} [data] - Message data.
+     * @param {number} [id] - Id of the request this message responds to.
+     */
+    function postToOverlay(overlay, type, data, id) {
+
+        var frame = overlay.internal.frame;
+        var origin = overlay.internal.origin;
+
+        if (!frame || !frame.contentWindow) {
+            return;
+        }
+
+        frame.contentWindow.postMessage({
+            protocol: bridgeProtocol,
+            version: bridgeVersion,
+            type: type,
+            id: id,
+            data: data,
+        }, origin === 'null' ? '*' : origin);
+    }
+
+    /**
+     * Handle a request from an overlay document, sent by the companion
+     * script lecture-overlay.js. Requests are only accepted from the overlay
+     * iframes, and from the allowed origins.
+     *
+     * Request types are hello (answered with a ready message), transition
+     * (see Overlay#doTransition), set and get (see Lecture#set), state (the
+     * current video and time, and the lecture state), time and resize.
+     * Overlays with an opaque origin (sandboxed without allow-same-origin)
+     * can't be messaged to a specific origin, so they don't get the lecture
+     * state.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {object} event - Message event.
+     */
+    function handleOverlayMessage(lecture, event) {
+
+        var message = event.data;
+
+        if (!message || message.protocol !== bridgeProtocol) {
+            return;
+        }
+
+        var overlay = Object.keys(lecture.overlays).map(function(name) {
+            return lecture.overlays[name];
+        }).filter(function(overlay) {
+            return overlay.internal.frame && overlay.internal.frame.contentWindow === event.source;
+        })[0];
+
+        if (!overlay || (lecture.options.origins || [overlay.internal.origin]).indexOf(event.origin) === -1) {
+            return;
+        }
+
+        var data = message.data || {};
+        var video = lecture.currentVideo;
+
+        function reply(result) {
+
+            if (typeof message.id !== 'undefined') {
+                postToOverlay(overlay, 'response', result, message.id);
+            }
+        }
+
+        function fail(text) {
+
+            if (typeof message.id !== 'undefined') {
+                postToOverlay(overlay, 'error', {message: text}, message.id);
+            }
+        }
+
+        if (message.version !== bridgeVersion) {
+            fail('Unsupported protocol version ' + message.version);
+            return;
+        }
+
+        switch (message.type) {
+            case 'hello':
+                postToOverlay(overlay, 'ready', {
+                    name: overlay.name,
+                    shown: lecture.currentOverlays.hasOwnProperty(overlay.name),
+                });
+                break;
+            case 'transition':
+                var unknown = [].concat(message.data || {}).filter(function(branch) {
+                    return !branch || (branch.target && !lecture.getComponent(branch.target));
+                })[0];
+
+                if (typeof unknown !== 'undefined' || !video) {
+                    fail(unknown ? 'Unknown target "' + unknown.target + '"' : 'Invalid transition');
+                    return;
+                }
+
+                overlay.doTransition(message.data);
+                reply();
+                break;
+            case 'set':
+                lecture.set(data.key, data.value);
+                reply();
+                break;
+            case 'get':
+                reply(lecture.get(data.key));
+                break;
+            case 'state':
+                reply({
+                    video: video ? video.name : null,
+                    time: video ? video.video.currentTime : 0,
+                    state: overlay.internal.origin === 'null' ? undefined : lecture.getState(),
+                });
+                break;
+            case 'time':
+                reply(video ? video.video.currentTime : 0);
+                break;
+            case 'resize':
+                overlay.internal.frame.style.width = typeof data.width === 'number' ? data.width + 'px' : '';
+                overlay.internal.frame.style.height = typeof data.height === 'number' ? data.height + 'px' : '';
+                reply();
+                break;
+            default:
+                fail('Unknown message type "' + message.type + '"');
+        }
+    }
+
+    /**
+     * Listen to the requests of the lecture overlay documents.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     */
+    function addOverlayBridgeListener(lecture) {
+
+        addGlobalListener(lecture, window, 'message', function(event) {
+
+            handleOverlayMessage(lecture, event);
+        });
+    }
+
+    /**
+     * Load the HTML source of an overlay, if it isn't loaded yet.
+     *
+     * @param {Overlay} overlay - The overlay.
+     */
+    function loadOverlay(overlay) {
+
+        var frame = overlay.internal.frame;
+
+        if (frame && !frame.hasAttribute('src')) {
+            frame.setAttribute('src', overlay.source);
+        }
+    }
+
+    /**
+     * Transition from this overlay to another component, by default back to
+     * the current video, hiding the overlay.
+     *
+     * A list of options can be given instead, as alternative branches: the
+     * first one whose condition holds is taken, or else the first one with no
+     * condition.
+     *
+     * @example
+     * doTransition([{target: 'advanced', condition: 'score>=3'}, {target: 'review'}]);
+     *
+     * @memberof Overlay
+     *
+     * @param {(object|object[])} [options] - Overlay transition configuration options.
+     * @param {object}  [options.target] - Target component (default is last video).
+     * @param {number}  [options.time] - Target video position (default is target's last position).
+     * @param {boolean} [options.play=true] - Whether to start playing the target Video.
+     * @param {boolean} [options.hide=true] - Whether to hide the current Overlay.
+     * @param {(string|object)} [options.effect] - Visual effect (see Video#show).
+     * @param {(string|function)} [options.condition] - Condition to do the transition (see Video#addTransition).
+     * @param {object} [options.set] - Lecture variables to set before the transition (see Lecture#set).
+     */
+    Overlay.prototype.doTransition = function(options) {
+
+        /* A list of options are alternative branches, chosen by their conditions. */
+        var branch = chooseBranch(this.lecture, Array.isArray(options) ? options : [options || {}]);
+
+        if (!branch) {
+            return;
+        }
+
+        options = {};
+        extend(options, branch);
+        extend(options, this.options.transition);
+
+        Object.keys(options.set || {}).forEach(function(key) {
+            this.lecture.set(key, options.set[key]);
+        }, this);
+
+        extend(options, {target: this.lecture.currentVideo.name});
+
+        var target = this.lecture.getComponent(options.target);
+
+        emit(this, 'transition', {target: target, targetTime: options.time});
+
+        target.show(options.effect);
+
+        if (options.hide) {
+            this.hide(options.effect);
+        }
+
+        if (target.constructor === Video) {
+
+            if (typeof options.time !== 'undefined') {
+                target.setPosition(options.time);
+            }
+
+            if (options.play) {
+                target.play();
+            }
+        }
+    };
+
+    /**
+     * Show overlay HTML element.
+     *
+     * @memberof Overlay
+     *
+     * @param {(string|object)} [effect] - Visual effect (see Video#show).
+     */
+    Overlay.prototype.show = function(effect) {
+
+        if (this.lecture.currentOverlays.hasOwnProperty(this.name)) {
+            return;
+        }
+
+        loadOverlay(this);
+
+        this.lecture.currentOverlays[this.name] = this;
+        this.container.style.zIndex = ++this.lecture.zIndexCount;
+        runEffect(this, true, getEffect(this.lecture, effect));
+        this.lecture.currentVideo.internal.showTinyProgressBar();
+
+        /* Move the focus into the overlay, unless it is outside the lecture. */
+        if (this.lecture.container.contains(document.activeElement)) {
+
+            var content = this.container.querySelector('iframe, input, select, textarea, button, [tabindex]');
+
+            this.internal.lastFocus = document.activeElement;
+            (content || this.container).focus();
+        }
+
+        emit(this, 'overlayshow', {source: this.lecture.currentVideo, target: this});
+    };
+
+    /**
+     * Hide overlay HTML element.
+     *
+     * @memberof Overlay
+     *
+     * @param {(string|object)} [effect] - Visual effect (see Video#show).
+     */
+    Overlay.prototype.hide = function(effect) {
+
+        if (!this.lecture.currentOverlays.hasOwnProperty(this.name)) {
+            return;
+        }
+
+        var focused = this.container.contains(document.activeElement);
+        var lastFocus = this.internal.lastFocus;
+
+        delete this.lecture.currentOverlays[this.name];
+        runEffect(this, false, getEffect(this.lecture, effect));
+        this.lecture.currentVideo.internal.showFullProgressBar();
+        this.internal.lastFocus = null;
+
+        /* Give the focus back to where it was before showing the overlay. */
+        if (focused) {
+            if (lastFocus && this.lecture.container.contains(lastFocus)) {
+                lastFocus.focus();
+            }
+
+            if (document.activeElement !== lastFocus) {
+                this.lecture.container.focus();
+            }
+        }
+
+        emit(this, 'overlayhide', {source: this.lecture.currentVideo, target: this});
+    };
+
+    /**
+     * Create a Lecture.
+     *
+     * A lecture is made of a series of interconnected components. Each
+     * component is either a Video or an Overlay.
+     *
+     * Lectures and their components emit events that can be observed with
+     * on, off and once. Component events are also emitted by the lecture.
+     *
+     * @see Lecture#addVideo
+     * @see Lecture#addOverlay
+     * @constructor
+     * @name Lecture
+     *
+     * @param {object} [options] - Lecture configuration options.
+     * @param {object} [options.video] - Default Video configuration options.
+     * @param {object} [options.overlay] - Default Overlay configuration options.
+     * @param {(boolean|object)} [options.persist=false] - Save the lecture state automatically, either
+     *                                                   to localStorage (true) or to a custom adapter
+     *                                                   with load(key) and save(key, state) methods.
+     * @param {string} [options.stateKey] - Key of the saved lecture state (default is 'lecture-state-'
+     *                                     followed by the name of the first video added).
+     * @param {(boolean|object)} [options.preload] - Preload the targets of upcoming transitions (false
+     *                                              to disable it, and load every overlay up front).
+     * @param {number} [options.preload.ahead=10] - Seconds before a transition to start preloading its target.
+     * @param {number} [options.preload.budget=2] - Maximum number of targets preloaded at the same time.
+     * @param {(string|object)} [options.effect='none'] - Default visual effect of the transitions (see
+     *                                                   Video#show).
+     * @param {string[]} [options.origins] - Origins allowed to message the lecture from overlays (default is
+     *                                       the origin of each overlay source, see lecture-overlay.js).
+     * @param {boolean} [options.keyboard=true] - Whether the keyboard shortcuts are enabled.
+     * @param {object} [options.keys] - Keyboard bindings overrides: action name to key or list of keys
+     *                                  (toggle, jumpBackward, jumpForward, seekBackward, seekForward,
+     *                                  mute, fullscreen, captions, slower, faster, nextMarker,
+     *                                  previousMarker, percent and help).
+     */
+    function Lecture(options) {
+
+        this.options = options || {};
+        extend(this.options, defaultOptions);
+
+        this.listeners = {};
+        this.videos = {};
+        this.overlays = {};
+        this.currentVideo = null;
+        this.currentOverlays = {};
+        this.results = {};
+        this.variables = {};
+        this.zIndexCount = 0;
+        this.container = createElement('div', 'lecture-container');
+
+        this.internal = {};
+        this.internal.playbackRate = 1;
+        this.internal.preloading = [];
+        this.internal.globalListeners = [];
+        this.internal.recorders = [];
+
+        if (this.options.preload) {
+            this.options.preload = this.options.preload === true ? {} : this.options.preload;
+            extend(this.options.preload, defaultOptions.preload);
+        }
+
+        if (typeof this.options.effect === 'string') {
+            this.options.effect = {name: this.options.effect};
+        }
+
+        extend(this.options.effect, defaultOptions.effect);
+
+        if (this.options.persist) {
+            addPersistenceListeners(this);
+        }
+
+        if (this.options.keyboard !== false) {
+            addKeyboardListeners(this);
+        }
+
+        addFullScreenListeners(this);
+        addOverlayBridgeListener(this);
+        addAnnouncer(this);
+
+        this.internal.effectLayer = createElement('div', 'lecture-effect', this.container);
+
+        this.internal.captions = null;
+        this.internal.captionsContainer = createElement('div', 'captions-container', this.container);
+        this.on('videochange', function() {
+            renderCaptions(this);
+        });
+    }
+
+    /**
+     * Get the human readable name of a component.
+     *
+     * @param {(Video|Overlay)} component - The component.
+     *
+     * @return {string} The component label option, or its name.
+     */
+    function getLabel(component) {
+
+        return component.options.label || component.name;
+    }
+
+    /**
+     * Add a listener to a target shared by every lecture on the page (the
+     * window or the document), so it's removed when the lecture is destroyed.
+     *
+     * @see Lecture#destroy
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {object} target - Window or document.
+     * @param {string} type - Event type.
+     * @param {function} listener - Event listener.
+     */
+    function addGlobalListener(lecture, target, type, listener) {
+
+        target.addEventListener(type, listener);
+        lecture.internal.globalListeners.push({target: target, type: type, listener: listener});
+    }
+
+    /**
+     * Create the live region of a lecture, that announces its transitions to
+     * screen readers.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     */
+    function addAnnouncer(lecture) {
+
+        var region = createElement('div', 'lecture-announcer', lecture.container);
+
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+
+        lecture.on('transition', function(event) {
+
+            if (!event.target) {
+                return;
+            }
+
+            region.textContent = (event.target.constructor === Video ? 'Now playing: ' : 'Showing: ') +
+                                 getLabel(event.target);
+        });
+    }
+
+    /**
+     * Render the active captions cues of the current video.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     */
+    function renderCaptions(lecture) {
+
+        var container = lecture.internal.captionsContainer;
+        var video = lecture.currentVideo;
+
+        container.textContent = '';
+
+        if (!video || !lecture.internal.captions) {
+            return;
+        }
+
+        video.subtitles.forEach(function(subtitle) {
+
+            if (subtitle.language !== lecture.internal.captions || !subtitle.track.activeCues) {
+                return;
+            }
+
+            for (var i = 0; i < subtitle.track.activeCues.length; i++) {
+
+                var cue  = subtitle.track.activeCues[i];
+                var line = createElement('div', 'captions-cue', container);
+
+                if (cue.getCueAsHTML) {
+                    line.appendChild(cue.getCueAsHTML());
+                } else {
+                    line.textContent = cue.text;
+                }
+            }
+        });
+    }
+
+    /**
+     * Call the first method of an object that is available, out of a list
+     * of (vendor prefixed) method names.
+     *
+     * Methods that return a promise (like requestFullscreen, which fails
+     * outside of user gestures) have their rejection handled, as the state
+     * is kept in sync by the change events anyway.
+     *
+     * @param {object} object - Object to call the method on.
+     * @param {string[]} methods - Method names.
+     *
+     * @return {*} The method result, or undefined if no method was found.
+     */
+    function callPrefixed(object, methods) {
+
+        for (var i = 0; i < methods.length; i++) {
+            if (object[methods[i]]) {
+
+                var result = object[methods[i]]();
+
+                if (result && typeof result.then === 'function') {
+                    result.then(null, function() {});
+                }
+
+                return result;
+            }
+        }
+    }
+
+    /**
+     * Get the element currently shown full screen.
+     *
+     * @return {object} HTML element, or null if not in full screen mode.
+     */
+    function getFullScreenElement() {
+
+        return document.fullscreenElement ||
+               document.webkitFullscreenElement ||
+               document.mozFullScreenElement ||
+               document.msFullscreenElement ||
+               null;
+    }
+
+    /**
+     * Keep the lecture full screen state in sync with the document, as the
+     * user can also leave full screen mode with the browser (e.g. with Esc).
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     */
+    function addFullScreenListeners(lecture) {
+
+        var events = [
+            'fullscreenchange',
+            'webkitfullscreenchange',
+            'mozfullscreenchange',
+            'MSFullscreenChange',
+        ];
+
+        lecture.internal.fullscreen = false;
+
+        function fullScreenChange() {
+
+            var fullscreen = getFullScreenElement() === lecture.container;
+
+            if (fullscreen === lecture.internal.fullscreen) {
+                return;
+            }
+
+            lecture.internal.fullscreen = fullscreen;
+
+            if (fullscreen) {
+                lecture.container.classList.add('lecture-container-fullscreen');
+            } else {
+                lecture.container.classList.remove('lecture-container-fullscreen');
+            }
+
+            Object.keys(lecture.videos).forEach(function(name) {
+                lecture.videos[name].internal.setFullScreenButton(fullscreen);
+            });
+
+            emit(lecture, 'fullscreenchange', {fullscreen: fullscreen});
+        }
+
+        events.forEach(function(type) {
+            addGlobalListener(lecture, document, type, fullScreenChange);
+        });
+    }
+
+    /**
+     * Get the keyboard bindings of a lecture: its keys option on top of the
+     * default bindings.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     *
+     * @return {object} Action name to list of keys.
+     */
+    function getKeyBindings(lecture) {
+
+        var bindings = {};
+        var keys = lecture.options.keys || {};
+
+        /* A single key can be given instead of a list. */
+        Object.keys(keys).forEach(function(action) {
+            bindings[action] = [].concat(keys[action]);
+        });
+
+        extend(bindings, defaultKeys);
+
+        return bindings;
+    }
+
+    /**
+     * Create the keyboard help overlay, listing every binding.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {object} bindings - Action name to list of keys.
+     *
+     * @return {object} Help overlay HTML element.
+     */
+    function createKeyboardHelp(lecture, bindings) {
+
+        var help  = createElement('div', 'keyboard-help', lecture.container);
+        var table = createElement('table', 'keyboard-help-table', help);
+
+        var keyNames = {
+            ' ':          'Space',
+            'ArrowLeft':  '\u2190',
+            'ArrowRight': '\u2192',
+        };
+
+        Object.keys(defaultKeys).forEach(function(action) {
+
+            if (!bindings[action].length) {
+                return;
+            }
+
+            var row  = createElement('tr', table);
+            var keys = createElement('td', 'keyboard-help-keys', row);
+            var text = createElement('td', row);
+
+            keys.textContent = action === 'percent' ? bindings[action][0] + ' - ' +
+                               bindings[action][bindings[action].length - 1] :
+                               bindings[action].map(function(key) {
+                                   return keyNames[key] || key;
+                               }).join(' / ');
+            text.textContent = keyDescriptions[action];
+        });
+
+        help.addEventListener('click', function() {
+
+            help.classList.remove('keyboard-help-show');
+        });
+
+        return help;
+    }
+
+    /**
+     * Get the transition and chapter times of a video, used as markers.
+     *
+     * @param {Video} video - Source video.
+     *
+     * @return {number[]} Sorted marker times.
+     */
+    function getVideoMarkers(video) {
+
+        var markers = getVideoTransitions(video).map(function(transition) {
+            return transition.start;
+        });
+
+        video.chapters.forEach(function(chapter) {
+            if (markers.indexOf(chapter.time) === -1) {
+                markers.push(chapter.time);
+            }
+        });
+
+        return markers.sort(function(a, b) {
+            return a - b;
+        });
+    }
+
+    /**
+     * Run a keyboard action on the current video.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     * @param {string} action - Action name.
+     * @param {number} index - Index of the pressed key in the action bindings.
+     * @param {object} help - Help overlay HTML element.
+     */
+    function runKeyboardAction(lecture, action, index, help) {
+
+        var video = lecture.currentVideo;
+        var time = video.video.currentTime;
+        var duration = video.data.duration;
+
+        function seek(position) {
+
+            video.setPosition(clamp(0, position, duration || Infinity));
+        }
+
+        function step(delta) {
+
+            var index = playbackRates.indexOf(video.getPlaybackRate());
+
+            index = index === -1 ? playbackRates.indexOf(1) : index;
+            video.setPlaybackRate(playbackRates[clamp(0, index + delta, playbackRates.length - 1)]);
+        }
+
+        switch (action) {
+            case 'toggle':
+                video.toggle();
+                break;
+            case 'jumpBackward':
+                seek(time - 10);
+                break;
+            case 'jumpForward':
+                seek(time + 10);
+                break;
+            case 'seekBackward':
+                seek(time - 5);
+                break;
+            case 'seekForward':
+                seek(time + 5);
+                break;
+            case 'mute':
+                video.toggleVolume();
+                break;
+            case 'fullscreen':
+                video.internal.toggleFullScreen();
+                break;
+            case 'slower':
+                step(-1);
+                break;
+            case 'faster':
+                step(1);
+                break;
+            case 'percent':
+                /* The nth key jumps to n tenths, whatever the keys are. */
+                seek(duration * index / 10);
+                break;
+            case 'help':
+                help.classList.toggle('keyboard-help-show');
+                break;
+
+            case 'captions':
+                var language = lecture.internal.lastCaptions ||
+                               (video.subtitles[0] && video.subtitles[0].language);
+                lecture.setCaptions(lecture.getCaptions() ? null : language);
+                break;
+
+            case 'nextMarker':
+                var next = getVideoMarkers(video).filter(function(marker) {
+                    return marker > time + 0.5;
+                })[0];
+                if (typeof next === 'number') {
+                    seek(next);
+                }
+                break;
+
+            case 'previousMarker':
+                var previous = getVideoMarkers(video).filter(function(marker) {
+                    return marker < time - 1;
+                }).pop();
+                seek(previous || 0);
+                break;
+        }
+    }
+
+    /**
+     * Add the keyboard listener of a lecture, active while the focus is
+     * anywhere inside the lecture container.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     */
+    function addKeyboardListeners(lecture) {
+
+        var bindings = getKeyBindings(lecture);
+        var help = createKeyboardHelp(lecture, bindings);
+
+        lecture.container.setAttribute('tabindex', -1);
+
+        lecture.container.addEventListener('keydown', function(event) {
+
+            var tag = event.target.tagName;
+
+            if (event.ctrlKey || event.metaKey || event.altKey || !lecture.currentVideo ||
+                tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || event.target.isContentEditable) {
+                return;
+            }
+
+            for (var action in bindings) {
+
+                var index = bindings.hasOwnProperty(action) ? bindings[action].indexOf(event.key) : -1;
+
+                if (index !== -1) {
+                    event.preventDefault();
+                    runKeyboardAction(lecture, action, index, help);
+                    return;
+                }
+            }
+        });
+    }
+
+    /**
+     * Save the lecture state automatically on pause, transition and unload.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     */
+    function addPersistenceListeners(lecture) {
+
+        function save() {
+
+            lecture.saveState();
+        }
+
+        lecture.on('pause', save);
+        lecture.on('variablechange', save);
+        lecture.on('transition', function() {
+
+            /* Save once the transition is done. */
+            setTimeout(save, 0);
+        });
+
+        addGlobalListener(lecture, window, 'pagehide', save);
+        addGlobalListener(lecture, window, 'beforeunload', save);
+    }
+
+    /**
+     * Create a Video component.
+     *
+     * A video has:
+     * - one source per available format/encoding.
+     * - one subtitle per supported language.
+     * - as many transitions as necessary.
+     *
+     * A video transition is fired when the video reaches a given time, and
+     * either switches to another video, or shows an overlay.
+     *
+     * @see Video#addTransition
+     * @memberof Lecture
+     *
+     * @param {string}  name - Video unique name.
+     * @param {object}  [options] - Video configuration options.
+     * @param {boolean} [options.muted=false] - Whether the video is muted.
+     * @param {boolean} [options.markers=true] - Wheter the overlay markers are shown.
+     * @param {string}  [options.controls='show'] - Whether the video controls are shown, hidden, or none.
+     * @param {string}  [options.seek='skip'] - Whether to 'fire' or 'skip' transitions jumped over by seeks.
+     * @param {string}  [options.label] - Human readable name, for screen readers (default is the name).
+     * @param {object}  [options.transition] - Video transitions options.
+     *
+     * @return {Video} New Video component.
+     */
+    Lecture.prototype.addVideo = function(name, options) {
+
+        options = options || {};
+        extend(options, this.options.video);
+
+        var video = new Video(this, name, options);
+
+        /* The first video added names the saved state (see getStateKey). */
+        if (!this.internal.firstVideo) {
+            this.internal.firstVideo = name;
+        }
+
+        return video;
+    };
+
+    /**
+     * Create an Overlay component.
+     *
+     * An overlay is an HTML document that's shown over the video. It can be
+     * used to control the flow of the lecture, or simply present something to
+     * the user in a static format. It has a color background that can be made
+     * transparent.
+     *
+     * An overlay can be static, meaning that the underlaying video will be
+     * paused until there is an overlay transition; or it can be dynamic,
+     * meaning that the video won't be stopped, and the overlay will be
+     * displayed until the video reaches a given time.
+     *
+     * An overlay transition is fired when the doTransition function is called
+     * from an overlay. You can use it to control the flow of the lecture.
+     *
+     * The doTransition function is only injected in overlays from the same
+     * origin that aren't sandboxed, or whose sandbox option includes
+     * allow-same-origin. Overlays from any origin can include the companion script
+     * lecture-overlay.js instead, that talks to the lecture with postMessage,
+     * and use LectureOverlay.doTransition.
+     *
+     * The source can also be inline content, rendered directly into the
+     * lecture: an HTML string, a template element, or a render function
+     * called with the content container and a scoped API (overlay, lecture,
+     * doTransition, set and get). Clicking an element with a data-transition
+     * attribute (a target name, or JSON transition options) fires an overlay
+     * transition.
+     *
+     * @example
+     * <input type="submit" value="Restart" onclick="doTransition({time: 0})" />
+     *
+     * @example
+     * lecture.addOverlay('menu', '<button data-transition="intro">Start</button>');
+     *
+     * lecture.addOverlay('score', function(container, api) {
+     *     container.textContent = 'Score: ' + api.get('score');
+     *     container.addEventListener('click', function() {
+     *         api.doTransition({target: 'outro'});
+     *     });
+     * });
+     *
+     * @see Overlay#doTransition
+     * @see LectureOverlay
+     * @memberof Lecture
+     *
+     * @param {string} name - Overlay unique name.
+     * @param {(string|object|function)} source - Overlay HTML source URI, HTML string, template element
+     *                                            or render function(container, api).
+     * @param {object} [options] - Overlay configuration options.
+     * @param {number} [options.opacity=1] - Overlay background opacity.
+     * @param {string} [options.background='white'] - Overlay background color.
+     * @param {object} [options.transition] - Overlay transitions options.
+     * @param {string[]} [options.targets] - Components the overlay may transition to (used by Lecture#validate).
+     *                                       Inline overlays default to their data-transition targets.
+     * @param {string} [options.label] - Human readable name, for screen readers (default is the name).
+     * @param {string} [options.sandbox] - Sandbox of the overlay iframe, for untrusted documents (e.g.
+     *                                    'allow-scripts allow-forms'; default is none). Sandboxed
+     *                                    overlays without allow-same-origin must use lecture-overlay.js.
+     *                                    Ignored for inline overlays.
+     *
+     * @return {Overlay} New Overlay component.
+     */
+    Lecture.prototype.addOverlay = function(name, source, options) {
+
+        options = options || {};
+        extend(options, this.options.overlay);
+
+        return new Overlay(this, name, source, options);
+    };
+
+    /**
+     * Get a lecture component (either a Video or an Overlay) by name.
+     *
+     * @memberof Lecture
+     *
+     * @param {string} name - Component unique name.
+     *
+     * @return {Video|Overlay} Existing Lecture component, or null if not found.
+     */
+    Lecture.prototype.getComponent = function(name) {
+
+        return this.videos[name] || this.overlays[name] || null;
+    };
+
+    /**
+     * Attach the Lecture container to a given HTML element.
+     *
+     * @memberof Lecture
+     *
+     * @param {string} id - HTML element id.
+     *
+     * @return {Lecture} This lecture, to allow method chaining.
+     */
+    Lecture.prototype.attach = function(id) {
+
+        document.getElementById(id).appendChild(this.container);
+        return this;
+    };
+
+    /**
+     * Release the resources of a video: timers, observers, animations, its
+     * source handler, its cues and its media.
+     *
+     * @param {Video} video - The video.
+     */
+    function destroyVideo(video) {
+
+        var internal = video.internal;
+        var tracks = video.video.textTracks;
+
+        video.listeners = {};
+        video.scheduler.stop();
+        video.scheduler.transitions = [];
+        video.scheduler.active = [];
+
+        clearInterval(internal.progressTimer);
+        clearInterval(internal.controlsTimer);
+        clearInterval(internal.scrubTimer);
+        clearTimeout(internal.tapTimer);
+
+        [internal.effect, internal.volumeFade].forEach(function(animation) {
+            if (animation) {
+                animation.finish();
+            }
+        });
+
+        if (internal.hotspotObserver) {
+            internal.hotspotObserver.disconnect();
+        }
+
+        if (internal.sourceHandler) {
+            internal.sourceHandler.destroy();
+            internal.sourceHandler = null;
+        }
+
+        for (var i = 0; i < tracks.length; i++) {
+
+            while (tracks[i].cues && tracks[i].cues.length) {
+                tracks[i].removeCue(tracks[i].cues[0]);
+            }
+
+            tracks[i].mode = 'disabled';
+        }
+
+        /* Stop downloading the media. */
+        video.video.pause();
+        video.video.removeAttribute('src');
+        [].slice.call(video.video.querySelectorAll('source')).forEach(function(source) {
+            video.video.removeChild(source);
+        });
+        video.video.load();
+    }
+
+    /**
+     * Remove the lecture from the page, and release everything it holds:
+     * window and document listeners, timers, recorders, cues and media. The
+     * state is saved first if the lecture persists it. The lecture can't be
+     * used afterwards.
+     *
+     * Each lecture is independent, so several of them can live in the same
+     * page, and be mounted and destroyed separately.
+     *
+     * @memberof Lecture
+     */
+    Lecture.prototype.destroy = function() {
+
+        var lecture = this;
+
+        if (this.options.persist && this.currentVideo) {
+            this.saveState();
+        }
+
+        this.setFullScreen(false);
+
+        this.internal.recorders.forEach(function(recorder) {
+            recorder.stop();
+        });
+
+        this.listeners = {};
+
+        Object.keys(this.videos).forEach(function(name) {
+            destroyVideo(lecture.videos[name]);
+        });
+
+        Object.keys(this.overlays).forEach(function(name) {
+
+            var overlay = lecture.overlays[name];
+
+            overlay.listeners = {};
+
+            if (overlay.internal.effect) {
+                overlay.internal.effect.finish();
+            }
+        });
+
+        this.internal.globalListeners.forEach(function(entry) {
+            entry.target.removeEventListener(entry.type, entry.listener);
+        });
+
+        if (this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+
+        this.videos = {};
+        this.overlays = {};
+        this.currentVideo = null;
+        this.currentOverlays = {};
+        this.internal.globalListeners = [];
+        this.internal.recorders = [];
+        this.internal.preloading = [];
+    };
+
+    /**
+     * Get the language of the captions shown.
+     *
+     * @memberof Lecture
+     *
+     * @return {string} Captions language, or null if captions are off.
+     */
+    Lecture.prototype.getCaptions = function() {
+
+        return this.internal.captions;
+    };
+
+    /**
+     * Show the captions of a given language, in every video that has them,
+     * or turn captions off. The choice is kept when switching videos.
+     *
+     * @memberof Lecture
+     *
+     * @param {string} language - Captions language, or null to turn them off.
+     *
+     * @return {Lecture} This lecture, to allow method chaining.
+     */
+    Lecture.prototype.setCaptions = function(language) {
+
+        language = language || null;
+
+        this.internal.captions = language;
+
+        if (language) {
+            this.internal.lastCaptions = language;
+        }
+
+        Object.keys(this.videos).forEach(function(name) {
+
+            var video = this.videos[name];
+
+            video.subtitles.forEach(function(subtitle) {
+                subtitle.track.mode = subtitle.language === language ? 'hidden' : 'disabled';
+            });
+
+            video.internal.updateCaptionsMenu();
+        }, this);
+
+        renderCaptions(this);
+        emit(this, 'captionschange', {language: language});
+
+        return this;
+    };
+
+    /**
+     * Detect whether the lecture is shown full screen.
+     *
+     * @memberof Lecture
+     *
+     * @return {boolean} True if the lecture is in full screen mode.
+     */
+    Lecture.prototype.isFullScreen = function() {
+
+        return this.internal.fullscreen;
+    };
+
+    /**
+     * Enter or exit full screen mode. The change is asynchronous, and a
+     * fullscreenchange event is emitted once it's done.
+     *
+     * @memberof Lecture
+     *
+     * @param {boolean} fullscreen - Whether to show the lecture full screen.
+     *
+     * @return {Lecture} This lecture, to allow method chaining.
+     */
+    Lecture.prototype.setFullScreen = function(fullscreen) {
+
+        if (fullscreen && !getFullScreenElement()) {
+            callPrefixed(this.container, [
+                'requestFullscreen',
+                'webkitRequestFullscreen',
+                'webkitRequestFullScreen',
+                'mozRequestFullScreen',
+                'msRequestFullscreen',
+            ]);
+        }
+
+        if (!fullscreen && getFullScreenElement() === this.container) {
+            callPrefixed(document, [
+                'exitFullscreen',
+                'webkitExitFullscreen',
+                'webkitCancelFullScreen',
+                'mozCancelFullScreen',
+                'msExitFullscreen',
+            ]);
+        }
+
+        return this;
+    };
+
+    /**
+     * Detect whether we are currently showing a static overlay.
+     *
+     * @see Lecture#Overlay
+     * @memberof Lecture
+     *
+     * @return {boolean} True if we are showing a static overlay.
+     */
+    Lecture.prototype.showingOverlay = function() {
+
+        var active = this.currentVideo.scheduler.active;
+
+        /* Overlays shown by a ranged transition of the current video are dynamic. */
+        return Object.keys(this.currentOverlays).some(function(name) {
+            return !active.some(function(transition) {
+                return !transition.hotspot && transition.target === name;
+            });
+        });
+    };
+
+    /**
+     * Grade a quiz question response.
+     *
+     * @param {object} question - Quiz question.
+     * @param {*} response - Selected choice index (choice), array of selected
+     *                       choice indexes (multiple), or input string (text, number).
+     *
+     * @return {boolean} Whether the response is correct.
+     */
+    function gradeQuestion(question, response) {
+
+        var choices = question.choices || [];
+
+        switch (question.type) {
+
+            case 'choice':
+                return typeof response === 'number' && !!choices[response] && !!choices[response].correct;
+
+            case 'multiple':
+                return choices.every(function(choice, i) {
+                    return Boolean(choice.correct) === (response.indexOf(i) !== -1);
+                });
+
+            case 'text':
+                return [].concat(question.answer).some(function(answer) {
+                    return String(answer).trim().toLowerCase() === response.trim().toLowerCase();
+                });
+
+            case 'number':
+                var value = parseFloat(response);
+                return !isNaN(value) && Math.abs(value - question.answer) <= (question.tolerance || 0);
+        }
+
+        return false;
+    }
+
+    /**
+     * Read the response to a quiz question from its form inputs.
+     *
+     * @param {object} question - Quiz question.
+     * @param {object[]} inputs - Question HTML input elements.
+     *
+     * @return {*} Response, as expected by gradeQuestion.
+     */
+    function readQuestionResponse(question, inputs) {
+
+        if (question.type === 'text' || question.type === 'number') {
+            return inputs[0].value;
+        }
+
+        var selected = [];
+
+        inputs.forEach(function(input, i) {
+            if (input.checked) {
+                selected.push(i);
+            }
+        });
+
+        return question.type === 'choice' ? selected[0] : selected;
+    }
+
+    /**
+     * Create and setup the quiz HTML elements of an overlay.
+     *
+     * @param {Overlay} overlay - Parent Overlay.
+     * @param {object} quiz - Quiz definition (see Lecture#addQuiz).
+     */
+    function createQuizElements(overlay, quiz) {
+
+        var form = createElement('form', 'quiz-container', overlay.container);
+        var inputs = [];
+
+        if (quiz.title) {
+            createElement('h2', 'quiz-title', form).textContent = quiz.title;
+        }
+
+        quiz.questions.forEach(function(question, i) {
+
+            var fieldset = createElement('fieldset', 'quiz-question', form);
+            var legend = createElement('legend', 'quiz-question-text', fieldset);
+            var group = overlay.name + '-' + i;
+
+            legend.textContent = question.text;
+            inputs[i] = [];
+
+            if (question.type === 'text' || question.type === 'number') {
+
+                var input = createElement('input', 'quiz-input', fieldset);
+
+                input.type = question.type;
+                input.step = 'any';
+                input.name = group;
+                inputs[i].push(input);
+                return;
+            }
+
+            question.choices.forEach(function(choice) {
+
+                var label = createElement('label', 'quiz-choice', fieldset);
+                var input = createElement('input', label);
+
+                input.type = question.type === 'choice' ? 'radio' : 'checkbox';
+                input.name = group;
+                label.appendChild(document.createTextNode(choice.label));
+                inputs[i].push(input);
+            });
+        });
+
+        var submit = createElement('button', 'quiz-submit', form);
+
+        submit.type = 'submit';
+        submit.textContent = quiz.submit || 'Submit';
+
+        form.addEventListener('submit', function(event) {
+
+            event.preventDefault();
+
+            var responses = quiz.questions.map(function(question, i) {
+                return readQuestionResponse(question, inputs[i]);
+            });
+
+            submitQuiz(overlay, quiz, responses);
+        });
+
+        overlay.on('overlayshow', function() {
+
+            form.reset();
+        });
+    }
+
+    /**
+     * Grade a quiz, record its score on the lecture, and do the resulting
+     * transition.
+     *
+     * @param {Overlay} overlay - Quiz Overlay.
+     * @param {object} quiz - Quiz definition (see Lecture#addQuiz).
+     * @param {Array} responses - One response per question (see gradeQuestion).
+     */
+    function submitQuiz(overlay, quiz, responses) {
+
+        var lecture = overlay.lecture;
+        var transition = null;
+        var result = {score: 0, total: 0, answers: []};
+
+        quiz.questions.forEach(function(question, i) {
+
+            var points = typeof question.points === 'number' ? question.points : 1;
+            var correct = gradeQuestion(question, responses[i]);
+            var choice = question.type === 'choice' && question.choices[responses[i]];
+            var transitions = question.transitions || {};
+
+            result.total += points;
+            result.score += correct ? points : 0;
+            result.answers.push({
+                question: question.id || i,
+                response: responses[i],
+                correct: correct,
+                points: correct ? points : 0,
+            });
+
+            if (choice && choice.transition) {
+                transition = choice.transition;
+            } else if (transitions[correct ? 'correct' : 'incorrect']) {
+                transition = transitions[correct ? 'correct' : 'incorrect'];
+            }
+        });
+
+        lecture.results[overlay.name] = result;
+
+        var ratio = lecture.getResults().ratio;
+
+        (quiz.branches || []).some(function(branch) {
+
+            var matches = (typeof branch.below !== 'number' || ratio < branch.below) &&
+                          (typeof branch.atLeast !== 'number' || ratio >= branch.atLeast);
+
+            if (matches) {
+                transition = branch;
+            }
+
+            return matches;
+        });
+
+        emit(overlay, 'quizsubmit', {result: result});
+
+        var options = {};
+
+        ['target', 'time', 'play', 'hide'].forEach(function(key) {
+            if (transition && transition.hasOwnProperty(key)) {
+                options[key] = transition[key];
+            }
+        });
+
+        overlay.doTransition(options);
+    }
+
+    /**
+     * Get the transition targets mentioned in a quiz definition.
+     *
+     * @param {object} quiz - Quiz definition (see Lecture#addQuiz).
+     *
+     * @return {string[]} Target component names.
+     */
+    function getQuizTargets(quiz) {
+
+        var targets = [];
+
+        function add(transition) {
+            if (transition && transition.target && targets.indexOf(transition.target) === -1) {
+                targets.push(transition.target);
+            }
+        }
+
+        quiz.questions.forEach(function(question) {
+
+            var transitions = question.transitions || {};
+
+            (question.choices || []).forEach(function(choice) {
+                add(choice.transition);
+            });
+
+            add(transitions.correct);
+            add(transitions.incorrect);
+        });
+
+        (quiz.branches || []).forEach(add);
+
+        return targets;
+    }
+
+    /**
+     * Create a quiz Overlay.
+     *
+     * A quiz is a form with one or more questions, each of which is either
+     * multiple-choice (type 'choice'), multi-select ('multiple'), free-text
+     * ('text') or numeric ('number'). Choice questions list their choices,
+     * marking the correct ones; text questions give the accepted answer (or
+     * answers, case insensitive); numeric questions give the answer and an
+     * optional tolerance.
+     *
+     * When submitted, the quiz score is recorded on the lecture (see
+     * Lecture#getResults) and the overlay does a transition, chosen from (in
+     * order of precedence):
+     * - the first branch matching the cumulative lecture score ratio.
+     * - the transition of the last question with one for its answer: the
+     *   selected choice transition, or the correct/incorrect transition.
+     * - the default overlay transition.
+     *
+     * @example
+     * lecture.addQuiz('check', {
+     *     questions: [{
+     *         type: 'choice',
+     *         text: 'Which one is a prime number?',
+     *         choices: [
+     *             {label: '4'},
+     *             {label: '7', correct: true, transition: {target: 'primes', time: 0}},
+     *         ],
+     *     }, {
+     *         type: 'number',
+     *         text: 'How much is 1 / 3?',
+     *         answer: 0.333,
+     *         tolerance: 0.001,
+     *         transitions: {incorrect: {target: 'fractions'}},
+     *     }],
+     *     branches: [{below: 0.6, target: 'remediation', time: 0}],
+     * });
+     *
+     * @see Lecture#addOverlay
+     * @memberof Lecture
+     *
+     * @param {string} name - Overlay unique name.
+     * @param {object} quiz - Quiz definition.
+     * @param {string} [quiz.title] - Quiz title.
+     * @param {object[]} quiz.questions - Quiz questions (type, text, choices, answer, tolerance, points,
+     *                                    transitions).
+     * @param {object[]} [quiz.branches] - Transitions on cumulative score ratio (below, atLeast, target,
+     *                                     time, play).
+     * @param {string} [quiz.submit='Submit'] - Submit button label.
+     * @param {object} [options] - Overlay configuration options (see Lecture#addOverlay).
+     *
+     * @return {Overlay} New quiz Overlay component.
+     */
+    Lecture.prototype.addQuiz = function(name, quiz, options) {
+
+        options = options || {};
+        extend(options, {targets: getQuizTargets(quiz)});
+
+        var overlay = this.addOverlay(name, null, options);
+
+        overlay.quiz = quiz;
+        createQuizElements(overlay, quiz);
+
+        return overlay;
+    };
+
+    /**
+     * Get the quiz results of the lecture.
+     *
+     * @memberof Lecture
+     *
+     * @return {{score: number, total: number, ratio: number, quizzes: object}}
+     *         Cumulative score, total points and score ratio (0 if there are no
+     *         results), plus the last result of each submitted quiz by name.
+     */
+    Lecture.prototype.getResults = function() {
+
+        var results = {score: 0, total: 0, ratio: 0, quizzes: {}};
+
+        Object.keys(this.results).forEach(function(name) {
+
+            var result = this.results[name];
+
+            results.score += result.score;
+            results.total += result.total;
+            results.quizzes[name] = result;
+        }, this);
+
+        if (results.total) {
+            results.ratio = results.score / results.total;
+        }
+
+        return results;
+    };
+
+    /**
+     * Set a lecture variable. Variables can be set from overlays (with
+     * setVariable, or the set option of doTransition), and tested by the
+     * transition conditions.
+     *
+     * @see Video#addTransition
+     * @memberof Lecture
+     *
+     * @param {string} key - Variable name.
+     * @param {*} value - Variable value (should be serializable as JSON).
+     *
+     * @return {Lecture} This lecture, to allow method chaining.
+     */
+    Lecture.prototype.set = function(key, value) {
+
+        var previous = this.variables[key];
+
+        this.variables[key] = value;
+
+        if (previous !== value) {
+            emit(this, 'variablechange', {key: key, value: value, previous: previous});
+        }
+
+        return this;
+    };
+
+    /**
+     * Get a lecture variable.
+     *
+     * @memberof Lecture
+     *
+     * @param {string} key - Variable name.
+     *
+     * @return {*} Variable value, or undefined if not set.
+     */
+    Lecture.prototype.get = function(key) {
+
+        return this.variables[key];
+    };
+
+    /**
+     * Get a key that identifies a transition across page loads, unlike its
+     * index, which changes as transitions are added.
+     *
+     * @param {object} transition - Transition.
+     *
+     * @return {string} Transition key.
+     */
+    function getTransitionKey(transition) {
+
+        return [transition.start, transition.end, transition.target || '', transition.file || ''].join('|');
+    }
+
+    /**
+     * Mark as completed the transitions of a video that were completed in
+     * the restored state (see Lecture#setState).
+     *
+     * @param {Video} video - The video.
+     */
+    function markRestoredTransitions(video) {
+
+        var keys = video.internal.restoredCompleted;
+
+        video.scheduler.transitions.forEach(function(transition) {
+            if (keys.indexOf(getTransitionKey(transition)) !== -1) {
+                transition.completed = true;
+            }
+        });
+    }
+
+    /**
+     * Move a video to a restored position, without firing or entering its
+     * transitions nor emitting a seek event.
+     *
+     * @param {Video} video - The video.
+     * @param {number} time - Restored position, in seconds.
+     */
+    function restorePosition(video, time) {
+
+        video.data.currentTime = time;
+        video.video.currentTime = time;
+        video.scheduler.internal.position = time;
+        video.scheduler.internal.inclusive = true;
+        video.scheduler.internal.fired = [];
+    }
+
+    /**
+     * Get the lecture state: current video, position and completed
+     * transitions of every video, shown overlays, volume, captions, playback
+     * rate, quiz results and variables.
+     *
+     * @see Lecture#setState
+     * @memberof Lecture
+     *
+     * @return {object} Lecture state, that can be serialized as JSON.
+     */
+    Lecture.prototype.getState = function() {
+
+        var state = {
+            version: 1,
+            currentVideo: this.currentVideo ? this.currentVideo.name : null,
+            videos: {},
+            overlays: [],
+            volume: this.currentVideo ? this.currentVideo.data.volume : 1,
+            muted: this.currentVideo ? this.currentVideo.video.muted : false,
+            captions: this.getCaptions(),
+            playbackRate: this.internal.playbackRate,
+            results: JSON.parse(JSON.stringify(this.results)),
+            variables: JSON.parse(JSON.stringify(this.variables)),
+        };
+
+        Object.keys(this.videos).forEach(function(name) {
+
+            var video = this.videos[name];
+            var time = video === this.currentVideo ? video.video.currentTime : video.data.currentTime;
+            var completed = [];
+
+            video.scheduler.transitions.forEach(function(transition) {
+                if (transition.completed) {
+                    completed.push(getTransitionKey(transition));
+                }
+            });
+
+            state.videos[name] = {currentTime: time, completed: completed};
+        }, this);
+
+        state.overlays = Object.keys(this.currentOverlays).sort(function(a, b) {
+            return this.overlays[a].container.style.zIndex - this.overlays[b].container.style.zIndex;
+        }.bind(this));
+
+        return state;
+    };
+
+    /**
+     * Restore a lecture state. The current video is shown paused, and
+     * components missing from the lecture are ignored.
+     *
+     * @see Lecture#getState
+     * @memberof Lecture
+     *
+     * @param {object} state - Lecture state.
+     *
+     * @return {Lecture} This lecture, to allow method chaining.
+     */
+    Lecture.prototype.setState = function(state) {
+
+        var lecture = this;
+
+        this.internal.restoring = true;
+
+        Object.keys(state.videos || {}).forEach(function(name) {
+
+            var video = lecture.videos[name];
+
+            if (!video) {
+                return;
+            }
+
+            /* Transitions from files that are still loading are marked once loaded. */
+            video.internal.restoredCompleted = (state.videos[name].completed || []).slice();
+            markRestoredTransitions(video);
+
+            restorePosition(video, state.videos[name].currentTime);
+        });
+
+        Object.keys(this.currentOverlays).forEach(function(name) {
+            lecture.overlays[name].hide();
+        });
+
+        if (state.currentVideo && this.videos[state.currentVideo]) {
+            this.videos[state.currentVideo].show();
+            this.videos[state.currentVideo].pause();
+        }
+
+        Object.keys(this.videos).forEach(function(name) {
+
+            var video = lecture.videos[name];
+
+            if (typeof state.volume === 'number') {
+                video.data.volume = clamp(0, state.volume, 1);
+                applyVolume(video);
+            }
+
+            video.video.muted = Boolean(state.muted);
+        });
+
+        if (this.currentVideo) {
+            (state.overlays || []).forEach(function(name) {
+                if (lecture.overlays[name]) {
+                    lecture.overlays[name].show();
+                }
+            });
+        }
+
+        if (typeof state.playbackRate === 'number') {
+            this.internal.playbackRate = state.playbackRate;
+
+            if (this.currentVideo) {
+                this.currentVideo.setPlaybackRate(state.playbackRate);
+            }
+        }
+
+        if (state.hasOwnProperty('captions')) {
+            this.setCaptions(state.captions);
+        }
+
+        if (state.results) {
+            this.results = JSON.parse(JSON.stringify(state.results));
+        }
+
+        if (state.variables) {
+            this.variables = JSON.parse(JSON.stringify(state.variables));
+        }
+
+        this.internal.restoring = false;
+
+        return this;
+    };
+
+    /**
+     * Get the persistence adapter of the lecture.
+     *
+     * @param {Lecture} lecture - Parent Lecture.
+     *
+     * @return {object} Persistence adapter, or null if persistence is disabled.
+     */
+    function getPersistenceAdapter(lecture) {
+
+        var persist = lecture.options.persist;
+
+        if (!persist) {
+            return null;
+        }
+
+        return typeof persist === 'object' ? persist : localStorageAdapter;
+    }
+
+    /**
+     * Get the key of the saved lecture state: the stateKey option, or a key
+     * derived from the name of the first video added to the lecture.
+     *
+     * @param {Lecture} lecture - The lecture.
+     *
+     * @return {string} State key.
+     */
+    function getStateKey(lecture) {
+
+        if (lecture.options.stateKey) {
+            return lecture.options.stateKey;
+        }
+
+        var first = lecture.internal.firstVideo;
+
+        return first ? 'lecture-state-' + first : 'lecture-state';
+    }
+
+    /**
+     * Save the lecture state with the persistence adapter. Called
+     * automatically on pause, transition and unload.
+     *
+     * @see Lecture#restoreState
+     * @memberof Lecture
+     *
+     * @return {Lecture} This lecture, to allow method chaining.
+     */
+    Lecture.prototype.saveState = function() {
+
+        var adapter = getPersistenceAdapter(this);
+
+        if (adapter && !this.internal.restoring) {
+            adapter.save(getStateKey(this), this.getState());
+        }
+
+        return this;
+    };
+
+    /**
+     * Restore the lecture state saved with the persistence adapter, if any.
+     * Call it once every component has been added.
+     *
+     * @see Lecture#saveState
+     * @memberof Lecture
+     *
+     * @return {boolean} Whether a saved state was restored.
+     */
+    Lecture.prototype.restoreState = function() {
+
+        var adapter = getPersistenceAdapter(this);
+        var state = adapter && adapter.load(getStateKey(this));
+
+        if (!state || state.version !== 1) {
+            return false;
+        }
+
+        this.setState(state);
+        return true;
+    };
+
+    /**
+     * Get the transitions of a video, sorted by time.
+     *
+     * @param {Video} video - Source video.
+     *
+     * @return {object[]} Transitions, with their target name, start and end
+     *                    times, and target options.
+     */
+    function getVideoTransitions(video) {
+
+        return video.scheduler.transitions.slice();
+    }
+
+    /**
+     * Check the lecture graph for errors that would otherwise surface during
+     * playback:
+     * - transitions to unknown targets (type 'unknown-target').
+     * - transition time tokens rejected by parseSeconds (type 'bad-time').
+     * - other transition tokens that can't be parsed, like unknown effects or
+     *   an if with no condition (type 'bad-token').
+     * - transition conditions rejected by parseCondition (type 'bad-condition').
+     * - inline overlay data-transition attributes that are not valid JSON
+     *   transition options (type 'bad-transition').
+     * - transitions past the source or target video duration (type 'past-duration').
+     * - components that can't be reached from the start video (type 'unreachable').
+     * - cycles of video transitions with no way out (type 'cycle').
+     *
+     * Overlay transitions are defined in the overlay documents, so overlays
+     * only take part in the graph through their targets option. Durations
+     * are only checked for videos whose metadata is already loaded.
+     *
+     * @memberof Lecture
+     *
+     * @param {string} [start] - Name of the start video (default is the current, or else the first, video).
+     *
+     * @return {object[]} Problems found, each with type, component, time (if
+     *                    relevant) and a readable message. Empty if valid.
+     */
+    Lecture.prototype.validate = function(start) {
+
+        var lecture = this;
+        var problems = [];
+        var edges = {};
+        var names = Object.keys(this.videos).concat(Object.keys(this.overlays));
+
+        function report(type, component, time, message) {
+
+            problems.push({
+                type: type,
+                component: component,
+                time: time,
+                message: message,
+            });
+        }
+
+        function where(name, time) {
+
+            return '"' + name + '"' + (typeof time === 'number' ? ' at ' + formatSeconds(time) : '');
+        }
+
+        Object.keys(this.videos).forEach(function(name) {
+
+            var video = lecture.videos[name];
+            var duration = video.data.duration;
+
+            edges[name] = [];
+
+            getVideoTransitions(video).forEach(function(transition) {
+
+                var target = lecture.getComponent(transition.target);
+
+                transition.invalid.forEach(function(token) {
+
+                    /* Tokens starting with a digit are meant as times. */
+                    if (/^\d/.test(token)) {
+                        report('bad-time', name, transition.start,
+                               'Invalid time "' + token + '" in transition from ' + where(name, transition.start));
+                    } else {
+                        report('bad-token', name, transition.start,
+                               'Unexpected "' + token + '" in transition from ' + where(name, transition.start));
+                    }
+                });
+
+                if (typeof transition.condition === 'string' && !parseCondition(transition.condition)) {
+                    report('bad-condition', name, transition.start,
+                           'Invalid condition "' + transition.condition + '" in transition from ' +
+                           where(name, transition.start));
+                }
+
+                if (duration && transition.start > duration) {
+                    report('past-duration', name, transition.start,
+                           'Transition from ' + where(name, transition.start) +
+                           ' is past the video duration (' + formatSeconds(duration) + ')');
+                }
+
+                if (!target && transition.hotspot && !transition.target) {
+                    /* Hotspot with only a callback. */
+                    return;
+                }
+
+                if (!target) {
+                    report('unknown-target', name, transition.start,
+                           'Unknown target "' + transition.target + '" in transition from ' +
+                           where(name, transition.start));
+                    return;
+                }
+
+                if (target.constructor === Video && target.data.duration &&
+                    transition.time > target.data.duration) {
+                    report('past-duration', name, transition.start,
+                           'Transition from ' + where(name, transition.start) + ' starts ' +
+                           where(target.name, transition.time) + ', past its duration (' +
+                           formatSeconds(target.data.duration) + ')');
+                }
+
+                edges[name].push({
+                    component: target,
+                    start: transition.start,
+                    target: transition.target,
+                    condition: transition.condition,
+                    hotspot: Boolean(transition.hotspot),
+                });
+            });
+        });
+
+        Object.keys(this.overlays).forEach(function(name) {
+
+            var overlay = lecture.overlays[name];
+            var targets = (overlay.options.targets || overlay.internal.targets || []).slice();
+
+            (overlay.internal.invalid || []).forEach(function(value) {
+                report('bad-transition', name, undefined,
+                       'Invalid data-transition "' + value + '" in overlay "' + name + '"');
+            });
+
+            if (overlay.options.transition && overlay.options.transition.target) {
+                targets.push(overlay.options.transition.target);
+            }
+
+            edges[name] = [];
+
+            targets.forEach(function(targetName) {
+
+                var target = lecture.getComponent(targetName);
+
+                if (!target) {
+                    report('unknown-target', name, undefined,
+                           'Unknown target "' + targetName + '" in overlay "' + name + '"');
+                    return;
+                }
+
+                edges[name].push({component: target, start: 0, target: targetName});
+            });
+        });
+
+        start = start || (this.currentVideo && this.currentVideo.name) || Object.keys(this.videos)[0];
+
+        if (!start) {
+            return problems;
+        }
+
+        /* Reachability from the start video. */
+        var reached = {};
+        var pending = [start];
+
+        while (pending.length) {
+
+            var current = pending.pop();
+
+            if (reached[current] || !edges[current]) {
+                continue;
+            }
+
+            reached[current] = true;
+            pending = pending.concat(edges[current].map(function(edge) {
+                return edge.component.name;
+            }));
+        }
+
+        names.forEach(function(name) {
+
+            if (!reached[name]) {
+                report('unreachable', name, undefined,
+                       'Component "' + name + '" is not reachable from "' + start + '"');
+            }
+        });
+
+        /*
+         * A video is left for good at its first unconditional transition to
+         * another video (taking any of its conditional branches or hotspots
+         * instead). The lecture can finish from a video if it has no such
+         * transition, or if anything it leads to (before that point) can
+         * finish.
+         */
+        function exitEdges(name) {
+
+            var result = [];
+            var list = edges[name];
+            var forced = null;
+
+            for (var i = 0; i < list.length; i++) {
+
+                if (forced && list[i].start > forced.start) {
+                    break;
+                }
+
+                result.push(list[i]);
+
+                if (!forced && lecture.videos[name] && list[i].component.constructor === Video &&
+                    !list[i].condition && !list[i].hotspot) {
+                    forced = list[i];
+                }
+            }
+
+            return {edges: result, forced: forced};
+        }
+
+        var finishes = {};
+        var changed = true;
+
+        names.forEach(function(name) {
+            finishes[name] = lecture.videos.hasOwnProperty(name) && !exitEdges(name).forced;
+        });
+
+        function propagate(name) {
+
+            if (finishes[name]) {
+                return;
+            }
+
+            finishes[name] = exitEdges(name).edges.some(function(edge) {
+                return finishes[edge.component.name];
+            });
+
+            changed = changed || finishes[name];
+        }
+
+        while (changed) {
+            changed = false;
+            names.forEach(propagate);
+        }
+
+        var reported = {};
+
+        Object.keys(this.videos).forEach(function(name) {
+
+            if (finishes[name] || reported[name] || !reached[name]) {
+                return;
+            }
+
+            var path = [];
+            var current = name;
+
+            while (path.indexOf(current) === -1) {
+                path.push(current);
+                current = exitEdges(current).forced.component.name;
+            }
+
+            path = path.slice(path.indexOf(current));
+
+            if (path.some(function(video) { return reported[video]; })) {
+                return;
+            }
+
+            path.forEach(function(video) {
+                reported[video] = true;
+            });
+
+            report('cycle', current, undefined,
+                   'Videos loop with no way out: ' + path.concat(current).join(' -> '));
+        });
+
+        return problems;
+    };
+
+    /**
+     * Create an analytics Recorder.
+     *
+     * @see Lecture#record
+     * @constructor
+     * @name Recorder
      *
-     * @return {Video} This video, to allow method chaining.
+     * @param {Lecture} lecture - Recorded lecture.
+     * @param {object}  options - Recorder configuration options.
      */
-    Video.prototype.addTransition = function(target, time, options) {
+    function Recorder(lecture, options) {
 
-        options = options || {};
-        extend(options, video.options.transition);
+        this.lecture = lecture;
+        this.options = options;
+        this.sessions = [];
+        this.ranges = {};
+
+        this.internal = {};
+        this.internal.playing = null;
+        this.internal.sent = {};
+        this.internal.agent = uuid();
+
+        addRecorderListeners(this);
+        this.start();
+    }
 
-        var until = time + options.duration;
-        var text  = target.name;
+    /**
+     * Subscribe a recorder to its lecture events, and to the document
+     * visibility changes.
+     *
+     * @param {Recorder} recorder - Parent Recorder.
+     */
+    function addRecorderListeners(recorder) {
+
+        var lecture = recorder.lecture;
+        var listeners = {};
 
-        if (options.hasOwnProperty('time')) {
-            text += ' ' + options.time;
+        function position(event) {
+
+            var video = event.source && event.source.constructor === Video ? event.source : lecture.currentVideo;
+            return video ? video.video.currentTime : 0;
         }
 
-        if (!options.play) {
-            text += ' pause';
+        listeners.play = function(event) {
+
+            recorder.internal.playing = {video: event.source, from: event.source.video.currentTime};
+            recorder.log('play', {component: event.source.name, position: position(event)});
+        };
+
+        listeners.pause = function(event) {
+
+            closeWatchedRange(recorder, event.source, event.time);
+            recorder.log('pause', {
+                component: event.source.name,
+                position: event.time,
+                segments: watchedSegments(recorder, event.source.name),
+            });
+        };
+
+        listeners.ended = function(event) {
+
+            closeWatchedRange(recorder, event.source, event.time);
+            recorder.log('ended', {
+                component: event.source.name,
+                position: event.time,
+                segments: watchedSegments(recorder, event.source.name),
+            });
+        };
+
+        listeners.seek = function(event) {
+
+            var playing = recorder.internal.playing;
+
+            if (playing && playing.video === event.source) {
+                closeWatchedRange(recorder, event.source, event.from);
+                recorder.internal.playing = {video: event.source, from: event.time};
+            }
+
+            recorder.log('seek', {component: event.source.name, from: event.from, to: event.time});
+        };
+
+        listeners.transition = function(event) {
+
+            recorder.log('transition', {
+                component: event.source.name,
+                target: event.target.name,
+                position: position(event),
+            });
+        };
+
+        listeners.overlayshow = function(event) {
+
+            recorder.log('overlayshow', {component: event.target.name, position: position(event)});
+        };
+
+        listeners.overlayhide = function(event) {
+
+            recorder.log('overlayhide', {component: event.target.name, position: position(event)});
+        };
+
+        Object.keys(listeners).forEach(function(type) {
+            lecture.on(type, listeners[type]);
+        });
+
+        function visibilityChange() {
+
+            var current = lecture.currentVideo;
+
+            recorder.log(document.hidden ? 'hidden' : 'visible', {
+                component: current ? current.name : undefined,
+                position: current ? current.video.currentTime : 0,
+            });
+
+            if (document.hidden) {
+                recorder.flush();
+            }
         }
 
-        var Cue = window.VTTCue || window.TextTrackCue;
-        var cue = new Cue(time, until, text);
+        document.addEventListener('visibilitychange', visibilityChange);
+
+        recorder.internal.removeListeners = function() {
 
-        cue.onenter = cueEnterHandler;
-        cue.onexit = cueExitHandler;
+            Object.keys(listeners).forEach(function(type) {
+                lecture.off(type, listeners[type]);
+            });
+
+            document.removeEventListener('visibilitychange', visibilityChange);
+        };
+    }
+
+    /**
+     * Format the watched ranges of a video as xAPI played segments.
+     *
+     * @param {Recorder} recorder - Parent Recorder.
+     * @param {string} name - Video name.
+     *
+     * @return {string} Played segments, e.g. '0.000[.]12.500[,]30.000[.]41.000'.
+     */
+    function watchedSegments(recorder, name) {
+
+        return (recorder.ranges[name] || []).map(function(range) {
+            return range[0].toFixed(3) + '[.]' + range[1].toFixed(3);
+        }).join('[,]');
+    }
 
-        /* Cues have to be reachable (for some reason) to work in Chrome. */
-        Lecture.cues = Lecture.cues || [];
-        Lecture.cues.push(cue);
+    /**
+     * Close the watched range that is open for a video, if any.
+     *
+     * @param {Recorder} recorder - Parent Recorder.
+     * @param {Video} video - Video that stopped playing.
+     * @param {number} to - Position where the video stopped.
+     */
+    function closeWatchedRange(recorder, video, to) {
 
-        this.transitions.addCue(cue);
+        var playing = recorder.internal.playing;
 
-        if (!options.duration) {
-            this.internal.addOverlayMarker(time);
+        if (!playing || playing.video !== video) {
+            return;
         }
 
-        return this;
-    };
+        recorder.internal.playing = null;
+
+        if (to <= playing.from) {
+            return;
+        }
+
+        var ranges = (recorder.ranges[video.name] || []).concat([[playing.from, to]]);
+        var merged = [];
+
+        ranges.sort(function(a, b) {
+            return a[0] - b[0];
+        });
+
+        ranges.forEach(function(range) {
+
+            var last = merged[merged.length - 1];
+
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range.slice());
+            }
+        });
+
+        recorder.ranges[video.name] = merged;
+    }
 
     /**
-     * Set the video volume.
+     * Start a new recording session. Called automatically when the recorder
+     * is created.
      *
-     * @memberof Video
+     * @memberof Recorder
      *
-     * @param {number} value - New volume value, in [0, 1].
+     * @return {Recorder} This recorder, to allow method chaining.
      */
-    Video.prototype.setVolume = function(value) {
+    Recorder.prototype.start = function() {
 
-        this.video.volume = clamp(0, value, 1);
-        this.video.muted = false;
+        this.session = {
+            id: uuid(),
+            start: new Date().toISOString(),
+            events: [],
+        };
+
+        this.sessions.push(this.session);
+        this.log('start', {});
+
+        return this;
     };
 
     /**
-     * Get the video volume.
+     * End the current recording session, stop listening to the lecture, and
+     * flush the recorded data to the sink.
      *
-     * @memberof Video
+     * @memberof Recorder
      *
-     * @return {number} Volume value, in [0, 1].
+     * @return {Recorder} This recorder, to allow method chaining.
      */
-    Video.prototype.getVolume = function() {
+    Recorder.prototype.stop = function() {
+
+        var current = this.lecture.currentVideo;
+
+        if (!this.session) {
+            return this;
+        }
+
+        if (current) {
+            closeWatchedRange(this, current, current.video.currentTime);
+        }
+
+        this.log('stop', {});
+        this.session.end = new Date().toISOString();
+        this.session = null;
 
-        return this.video.muted ? 0 : this.video.volume;
+        this.internal.removeListeners();
+        this.flush();
+
+        return this;
     };
 
     /**
-     * Toggle the video between mute and unmute.
+     * Add an entry to the current session timeline.
      *
-     * @memberof Video
+     * @memberof Recorder
+     *
+     * @param {string} type - Entry type (a lecture event type, start, stop, hidden or visible).
+     * @param {object} data - Entry data (component, target, position, from, to).
+     *
+     * @return {object} The new timeline entry.
      */
-    Video.prototype.toggleVolume = function() {
+    Recorder.prototype.log = function(type, data) {
 
-        this.video.muted = !this.video.muted;
+        var entry = {
+            id: uuid(),
+            type: type,
+            timestamp: new Date().toISOString(),
+        };
+
+        extend(entry, data);
 
-        if (!this.video.muted && this.video.volume === 0) {
-            this.video.volume = 0.05;
+        if (this.session) {
+            this.session.events.push(entry);
         }
+
+        return entry;
     };
 
     /**
-     * Set the current video reproduction position.
+     * Export the recorded data as plain JSON.
      *
-     * @memberof Video
+     * @memberof Recorder
      *
-     * @param {number} time - Number of seconds.
+     * @return {{sessions: object[], ranges: object}} Recorded sessions, and
+     *         watched ranges ([from, to] pairs, in seconds) per video name.
      */
-    Video.prototype.setPosition = function(time) {
+    Recorder.prototype.toJSON = function() {
 
-        this.data.currentTime = time;
-        this.video.currentTime = time;
+        return {
+            sessions: JSON.parse(JSON.stringify(this.sessions)),
+            ranges: JSON.parse(JSON.stringify(this.ranges)),
+        };
     };
 
     /**
-     * Toggle video reproduction.
+     * Export the recorded data as xAPI (Tin Can) statements. Entries without
+     * an xAPI verb (such as overlayhide) are left out.
      *
-     * @memberof Video
+     * @memberof Recorder
+     *
+     * @return {object[]} xAPI statements.
      */
-    Video.prototype.toggle = function() {
+    Recorder.prototype.toStatements = function() {
+
+        var recorder = this;
+        var activity = this.options.activity || window.location.href.split('#')[0];
+        var statements = [];
+        var actor = this.options.actor || {
+            objectType: 'Agent',
+            account: {homePage: window.location.origin, name: this.internal.agent},
+        };
 
-        if (this.video.paused) {
-            this.play();
-        } else {
-            this.pause();
+        function object(name) {
+
+            var component = recorder.lecture.getComponent(name);
+
+            if (!component) {
+                return {objectType: 'Activity', id: activity};
+            }
+
+            return {
+                objectType: 'Activity',
+                id: activity + '#' + encodeURIComponent(name),
+                definition: {
+                    type: component.constructor === Video ?
+                          'https://w3id.org/xapi/video/activity-type/video' :
+                          'http://adlnet.gov/expapi/activities/interaction',
+                    name: {'en-US': name},
+                },
+            };
         }
+
+        this.sessions.forEach(function(session) {
+
+            session.events.forEach(function(entry) {
+
+                if (!xapiVerbs.hasOwnProperty(entry.type)) {
+                    return;
+                }
+
+                var extensions = {};
+                var verb = xapiVerbs[entry.type];
+
+                if (typeof entry.position === 'number') {
+                    extensions['https://w3id.org/xapi/video/extensions/time'] = entry.position;
+                }
+
+                if (entry.type === 'seek') {
+                    extensions['https://w3id.org/xapi/video/extensions/time-from'] = entry.from;
+                    extensions['https://w3id.org/xapi/video/extensions/time-to'] = entry.to;
+                }
+
+                /* As watched when logged, so statements don't change once sent. */
+                if (typeof entry.segments === 'string') {
+                    extensions['https://w3id.org/xapi/video/extensions/played-segments'] = entry.segments;
+                }
+
+                if (entry.type === 'transition') {
+                    extensions[activity + '#target'] = entry.target;
+                }
+
+                statements.push({
+                    id: entry.id,
+                    actor: actor,
+                    verb: {id: verb, display: {'en-US': verb.split('/').pop()}},
+                    object: object(entry.component),
+                    result: {extensions: extensions},
+                    context: {
+                        registration: session.id,
+                        extensions: {'https://w3id.org/xapi/video/extensions/session-id': session.id},
+                    },
+                    timestamp: entry.timestamp,
+                });
+            });
+        });
+
+        return statements;
     };
 
     /**
-     * Start video reproduction.
+     * Send the recorded data to the sink, in the configured format. JSON
+     * data is sent whole, while xAPI statements are only sent once (nothing
+     * is sent if there are no new statements).
      *
-     * @memberof Video
+     * @memberof Recorder
+     *
+     * @return {Recorder} This recorder, to allow method chaining.
      */
-    Video.prototype.play = function() {
+    Recorder.prototype.flush = function() {
 
-        this.show();
+        var sink = this.options.sink;
+        var sent = this.internal.sent;
 
-        if (this.video.paused && !this.lecture.showingOverlay()) {
-            this.video.play();
-            this.internal.showVideoPauseButton();
+        if (!sink) {
+            return this;
+        }
+
+        if (this.options.format === 'json') {
+            sink.send(this.toJSON(), this.options.format);
+            return this;
+        }
+
+        var statements = this.toStatements().filter(function(statement) {
+            return !sent.hasOwnProperty(statement.id);
+        });
+
+        statements.forEach(function(statement) {
+            sent[statement.id] = true;
+        });
+
+        if (statements.length) {
+            sink.send(statements, this.options.format);
         }
+
+        return this;
     };
 
     /**
-     * Stop video reproduction.
+     * Create an in-memory analytics sink, that keeps everything sent to it.
      *
-     * @memberof Video
+     * @see Lecture#record
+     * @constructor
+     * @name MemorySink
      */
-    Video.prototype.pause = function() {
+    function MemorySink() {
 
-        this.video.pause();
-        this.internal.showVideoPlayButton();
-        this.internal.showFullProgressBar();
-        this.data.currentTime = this.video.currentTime;
+        this.data = [];
+    }
+
+    /**
+     * Store recorded data.
+     *
+     * @memberof MemorySink
+     *
+     * @param {(object|object[])} data - Recorded data (JSON export or xAPI statements).
+     */
+    MemorySink.prototype.send = function(data) {
+
+        this.data.push(data);
     };
 
     /**
-     * Show video HTML element.
+     * Get the last data sent to the sink.
      *
-     * @memberof Video
+     * @memberof MemorySink
+     *
+     * @return {(object|object[])} Last recorded data, or undefined if nothing was sent.
      */
-    Video.prototype.show = function() {
+    MemorySink.prototype.last = function() {
 
-        if (this.lecture.currentVideo === this) {
-            return;
-        }
+        return this.data[this.data.length - 1];
+    };
 
-        if (this.lecture.currentVideo) {
-            this.lecture.currentVideo.hide();
-        }
+    /**
+     * Start recording learner analytics: a timeline of sessions with
+     * playback, transitions, overlays and page visibility, and the watched
+     * ranges of each video.
+     *
+     * The recorded data is sent to the sink when flushed, when the recorder
+     * is stopped, and when the page is hidden. A sink is any object with a
+     * send(data, format) method.
+     *
+     * @example
+     * var recorder = lecture.record({
+     *     actor: {mbox: 'mailto:student@example.com'},
+     *     sink: {send: function(statements) { lrs.save(statements); }},
+     * });
+     *
+     * @see Lecture.MemorySink
+     * @memberof Lecture
+     *
+     * @param {object} [options] - Recorder configuration options.
+     * @param {object} [options.sink] - Where the recorded data is sent.
+     * @param {string} [options.format='xapi'] - Format of the data sent, either 'xapi' or 'json'.
+     * @param {object} [options.actor] - xAPI actor (agent) of the statements (default is an anonymous
+     *                                  account agent, unique to the recorder).
+     * @param {string} [options.activity] - xAPI activity IRI of the lecture (default is the page URL).
+     *
+     * @return {Recorder} New analytics recorder.
+     */
+    Lecture.prototype.record = function(options) {
 
-        this.lecture.currentVideo = this;
-        this.video.preload = 'auto';
-        this.container.classList.add('video-show');
+        options = options || {};
+        extend(options, {format: 'xapi'});
+
+        var recorder = new Recorder(this, options);
+
+        this.internal.recorders.push(recorder);
+
+        return recorder;
     };
 
     /**
-     * Hide video HTML element.
+     * Register a source handler, that plays the video sources it can handle
+     * instead of the browser (e.g. with Media Source Extensions). Handlers are
+     * checked in registration order, and sources not handled by any of them
+     * are played natively.
      *
-     * @memberof Video
+     * The attach function is called with the HTML video element, the source
+     * URI and an update callback, to call whenever the quality levels or the
+     * current level change. It returns a controller with getLevels (a list of
+     * {label, value} levels, value being a non-negative number), getLevel
+     * and setLevel (-1 is automatic) and destroy.
+     *
+     * @example
+     * Lecture.registerSourceHandler({
+     *     canHandle: function(source, type) {
+     *         return type === 'application/x-mpegURL' && Hls.isSupported();
+     *     },
+     *     attach: function(element, source, update) {
+     *         var hls = new Hls();
+     *         hls.on(Hls.Events.MANIFEST_PARSED, update);
+     *         hls.on(Hls.Events.LEVEL_SWITCHED, update);
+     *         hls.loadSource(source);
+     *         hls.attachMedia(element);
+     *         return {
+     *             getLevels: function() {
+     *                 return hls.levels.map(function(level, index) {
+     *                     return {label: level.height + 'p', value: index};
+     *                 });
+     *             },
+     *             getLevel: function() {
+     *                 return hls.autoLevelEnabled ? -1 : hls.currentLevel;
+     *             },
+     *             setLevel: function(level) {
+     *                 hls.currentLevel = level;
+     *             },
+     *             destroy: function() {
+     *                 hls.destroy();
+     *             },
+     *         };
+     *     },
+     * });
+     *
+     * @memberof Lecture
+     *
+     * @param {object} handler - Source handler.
+     * @param {function} handler.canHandle - Called with the source URI and MIME type, returns whether
+     *                                       the handler can play it.
+     * @param {function} handler.attach - Called with the video element, source URI and update callback,
+     *                                    returns the source controller.
      */
-    Video.prototype.hide = function() {
+    Lecture.registerSourceHandler = function(handler) {
 
-        if (this.lecture.currentVideo !== this) {
-            return;
+        sourceHandlers.push(handler);
+    };
+
+    Lecture.MemorySink = MemorySink;
+    Lecture.Scheduler = Scheduler;
+
+    extend(Lecture.prototype, emitterMethods);
+    extend(Video.prototype, emitterMethods);
+    extend(Overlay.prototype, emitterMethods);
+
+    /**
+     * Parse a manifest time, given either as a number of seconds or as a
+     * string accepted by parseSeconds.
+     *
+     * @param {(number|string)} time - Manifest time.
+     *
+     * @return {number} Amount of seconds, or undefined if invalid.
+     */
+    function parseManifestTime(time) {
+
+        if (typeof time === 'number') {
+            return time;
         }
 
-        this.pause();
-        this.lecture.currentVideo = null;
-        this.video.preload = 'metadata';
-        this.container.classList.remove('video-show');
-    };
+        if (typeof time === 'string') {
+            time = parseSeconds(time);
+        }
+
+        return typeof time === 'number' && !isNaN(time) ? time : undefined;
+    }
 
     /**
-     * Create an Overlay component.
+     * Build a Lecture from a parsed manifest.
      *
-     * @see Lecture#addOverlay
-     * @constructor
-     * @name Overlay
+     * @see Lecture.fromManifest
      *
-     * @param {Lecture} lecture - Parent lecture.
-     * @param {string}  name - Overlay unique name.
-     * @param {string}  source - Overlay source URI.
-     * @param {object}  options - Overlay configuration options.
+     * @param {object} manifest - Parsed manifest.
+     *
+     * @return {Lecture} New lecture.
      */
-    function Overlay(lecture, name, source, options) {
+    function buildLecture(manifest) {
 
-        lecture.overlays[name] = this;
+        var lecture = new Lecture(manifest.options);
+        var videos = manifest.videos || [];
+        var overlays = manifest.overlays || [];
 
-        this.lecture = lecture;
-        this.name = name;
-        this.source = source;
-        this.options = options;
+        function checkName(spec, kind) {
 
-        this.container = createElement('div', 'overlay-container');
-        this.container.overlay = this;
+            if (typeof spec.name !== 'string' || !spec.name) {
+                throw new Error('Manifest ' + kind + ' without a name');
+            }
 
-        createOverlayElements(this);
+            if (lecture.getComponent(spec.name)) {
+                throw new Error('Duplicate component name "' + spec.name + '" in manifest');
+            }
+        }
 
-        lecture.container.appendChild(this.container);
-    }
+        videos.forEach(function(spec) {
 
-    /**
-     * Create and setup the overlay HTML elements.
-     *
-     * @param {Overlay} overlay - Parent Overlay.
-     */
-    function createOverlayElements(overlay) {
+            checkName(spec, 'video');
 
-        var background = createElement('div',    'overlay-background', overlay.container);
-        var foreground = createElement('iframe', 'overlay-foreground', overlay.container);
+            var video = lecture.addVideo(spec.name, spec.options);
 
-        background.style.opacity = overlay.options.opacity;
-        background.style.background = overlay.options.background;
+            (spec.sources || []).forEach(function(source) {
 
-        foreground.setAttribute('src', overlay.source);
-        foreground.setAttribute('seamless', 'seamless');
+                if (typeof source === 'string') {
+                    video.addVideoSource(source);
+                } else {
+                    video.addVideoSource(source.src, source.type);
+                }
+            });
 
-        foreground.addEventListener('load', function() {
+            (spec.subtitles || []).forEach(function(subtitle) {
 
-            function doTransition(options) {
-                frameElement.parentNode.overlay.doTransition(options);
+                video.addSubtitle(subtitle.language, subtitle.src, subtitle.label);
+            });
+
+            (spec.chapters || []).forEach(function(chapter) {
+
+                var time = parseManifestTime(chapter.time);
+
+                if (typeof time === 'undefined') {
+                    throw new Error('Invalid chapter time "' + chapter.time + '" in video "' + spec.name + '"');
+                }
+
+                video.addChapter(time, chapter.title);
+            });
+
+            [].concat(spec.chapterFile || []).forEach(function(source) {
+                video.addChapterFile(source);
+            });
+
+            [].concat(spec.thumbnails || []).forEach(function(source) {
+                video.addThumbnails(source);
+            });
+
+            [].concat(spec.transitionFile || []).forEach(function(source) {
+                video.addTransitionFile(source);
+            });
+        });
+
+        overlays.forEach(function(spec) {
+
+            checkName(spec, 'overlay');
+
+            if (spec.quiz) {
+                lecture.addQuiz(spec.name, spec.quiz, spec.options);
+            } else {
+                lecture.addOverlay(spec.name, spec.source, spec.options);
             }
+        });
 
-            var head = this.contentDocument.getElementsByTagName('head')[0];
-            var body = this.contentDocument.getElementsByTagName('body')[0];
+        videos.forEach(function(spec) {
 
-            body.style.margin = '20px';
+            var video = lecture.videos[spec.name];
 
-            var script = this.contentDocument.createElement('script');
+            (spec.transitions || []).concat(spec.hotspots || []).forEach(function(transition, index) {
 
-            script.type = 'text/javascript';
-            script.text = doTransition.toString();
+                var hotspot = index >= (spec.transitions || []).length;
+                var target = lecture.getComponent(transition.target);
+                var time = parseManifestTime(transition.time);
+                var options = {};
 
-            head.appendChild(script);
+                extend(options, transition.options || {});
+
+                /* Hotspots may have no target. */
+                if (!target && (!hotspot || transition.target)) {
+                    throw new Error('Unknown transition target "' + transition.target +
+                                    '" in video "' + spec.name + '"');
+                }
+
+                if (typeof time === 'undefined') {
+                    throw new Error('Invalid transition time "' + transition.time +
+                                    '" in video "' + spec.name + '"');
+                }
+
+                /* The target start time can be a time string too. */
+                if (options.hasOwnProperty('time')) {
+                    options.time = parseManifestTime(options.time);
+
+                    if (typeof options.time === 'undefined') {
+                        throw new Error('Invalid target time "' + transition.options.time +
+                                        '" in video "' + spec.name + '"');
+                    }
+                }
+
+                if (hotspot) {
+                    video.addHotspot(target, time, options);
+                } else {
+                    video.addTransition(target, time, options);
+                }
+            });
         });
+
+        if (manifest.start) {
+
+            if (!lecture.videos[manifest.start]) {
+                throw new Error('Unknown start video "' + manifest.start + '"');
+            }
+
+            lecture.internal.startVideo = manifest.start;
+            lecture.videos[manifest.start].show();
+        }
+
+        lecture.restoreState();
+
+        return lecture;
     }
 
     /**
-     * TODO
+     * Create a Lecture from a JSON manifest.
      *
-     * @memberof Overlay
+     * A manifest describes the whole lecture graph: the lecture options,
+     * every video with its sources, subtitles, chapters, transitions and
+     * hotspots (or chapterFile and transitionFile URIs) and its thumbnails
+     * URI, every overlay (or quiz, see Lecture#addQuiz) with its options,
+     * and the video to start with. Times can be given in seconds or as time
+     * strings (see parseSeconds). Lecture#toJSON produces a manifest.
      *
-     * @param {object}  [options] - Overlay transition configuration options.
-     * @param {object}  [options.target] - Target component (default is last video).
-     * @param {number}  [options.time] - Target video position (default is target's last position).
-     * @param {boolean} [options.play=true] - Whether to start playing the target Video.
-     * @param {boolean} [options.hide=true] - Whether to hide the current Overlay.
+     * Every transition target is checked to exist, and every time to be
+     * valid. Errors (including invalid JSON) are passed to the callback if
+     * there is one, and thrown otherwise. Manifests loaded from a URI require
+     * the callback.
+     *
+     * @example
+     * {
+     *     "options": {"video": {"controls": "hide"}},
+     *     "start": "intro",
+     *     "videos": [{
+     *         "name": "intro",
+     *         "sources": ["intro.mp4", {"src": "intro.webm", "type": "video/webm"}],
+     *         "subtitles": [{"language": "en", "src": "intro.en.vtt"}],
+     *         "chapters": [{"time": 0, "title": "Welcome"}, {"time": "0:45", "title": "Goals"}],
+     *         "transitions": [{"target": "quiz", "time": "1:30"}],
+     *         "hotspots": [{"target": "check", "time": 60, "options": {"x": 0.7, "y": 0.1,
+     *                                                                 "width": 0.2, "height": 0.2}}]
+     *     }],
+     *     "overlays": [{
+     *         "name": "quiz",
+     *         "source": "quiz.html",
+     *         "options": {"opacity": 0.8}
+     *     }, {
+     *         "name": "check",
+     *         "quiz": {"questions": [{"type": "text", "text": "Capital of France?", "answer": "Paris"}]}
+     *     }]
+     * }
+     *
+     * @memberof Lecture
+     *
+     * @param {(object|string)} manifest - Manifest object, JSON string, or manifest URI.
+     * @param {function} [callback] - Called with (error, lecture) once the lecture is built (required
+     *                                for manifest URIs).
+     *
+     * @return {Lecture} New lecture, or undefined if the manifest is loaded from a URI or is invalid.
      */
-    Overlay.prototype.doTransition = function(options) {
+    Lecture.fromManifest = function(manifest, callback) {
 
-        options = options || {};
-        extend(options, this.options.transition);
-        extend(options, {target: this.lecture.currentVideo.name});
+        var lecture;
+        var error = null;
 
-        var target = this.lecture.getComponent(options.target);
+        if (typeof manifest === 'string' && !/^\s*\{/.test(manifest)) {
+
+            if (!callback) {
+                throw new Error('A callback is required to load a manifest from a URI');
+            }
 
-        target.show();
+            loadJSON(manifest, function(error, data) {
 
-        if (options.hide) {
-            this.hide();
+                var lecture;
+
+                if (!error) {
+                    try {
+                        lecture = buildLecture(data);
+                    } catch (buildError) {
+                        error = buildError;
+                    }
+                }
+
+                callback(error || null, lecture);
+            });
+
+            return;
         }
 
-        if (target.constructor === Video) {
+        try {
+            lecture = buildLecture(typeof manifest === 'string' ? JSON.parse(manifest) : manifest);
+        } catch (buildError) {
 
-            if (typeof options.time !== 'undefined') {
-                target.setPosition(options.time);
+            if (!callback) {
+                throw buildError;
             }
 
-            if (options.play) {
-                target.play();
-            }
+            error = buildError;
         }
-    };
-
-    /**
-     * Show overlay HTML element.
-     *
-     * @memberof Overlay
-     */
-    Overlay.prototype.show = function() {
 
-        if (this.lecture.currentOverlays.hasOwnProperty(this.name)) {
-            return;
+        if (callback) {
+            callback(error, lecture);
         }
 
-        this.lecture.currentOverlays[this.name] = this;
-        this.container.style.zIndex = ++this.lecture.zIndexCount;
-        this.container.classList.add('overlay-show');
-        this.lecture.currentVideo.internal.showTinyProgressBar();
+        return lecture;
     };
 
     /**
-     * Hide overlay HTML element.
+     * Describe a transition of a video as a manifest transition or hotspot.
      *
-     * @memberof Overlay
+     * @param {object} transition - Transition.
+     *
+     * @return {object} Manifest transition, with target, time and options.
      */
-    Overlay.prototype.hide = function() {
+    function getManifestTransition(transition) {
+
+        var hotspot = transition.hotspot;
+        var options = {
+            time: transition.time,
+            play: transition.play,
+            required: transition.required,
+            effect: transition.effect,
+            condition: transition.condition,
+        };
 
-        if (!this.lecture.currentOverlays.hasOwnProperty(this.name)) {
-            return;
+        if (hotspot) {
+            options.x = hotspot.x;
+            options.y = hotspot.y;
+            options.width = hotspot.width;
+            options.height = hotspot.height;
+            options.label = hotspot.label;
+            delete options.required;
         }
 
-        delete this.lecture.currentOverlays[this.name];
-        this.container.classList.remove('overlay-show');
-        this.lecture.currentVideo.internal.showFullProgressBar();
-    };
+        if (isFinite(transition.end)) {
+            options.duration = transition.end - transition.start;
+        }
+
+        return {target: transition.target, time: transition.start, options: options};
+    }
 
     /**
-     * Create a Lecture.
-     *
-     * A lecture is made of a series of interconnected components. Each
-     * component is either a Video or an Overlay.
+     * Describe a video as a manifest video.
      *
-     * @see Lecture#addVideo
-     * @see Lecture#addOverlay
-     * @constructor
-     * @name Lecture
+     * @param {Video} video - The video.
      *
-     * @param {object} [options] - Lecture configuration options.
-     * @param {object} [options.video] - Default Video configuration options.
-     * @param {object} [options.overlay] - Default Overlay configuration options.
+     * @return {object} Manifest video.
      */
-    function Lecture(options) {
+    function getManifestVideo(video) {
 
-        this.options = options || {};
-        extend(this.options, defaultOptions);
+        var files = video.internal.files;
 
-        this.videos = {};
-        this.overlays = {};
-        this.currentVideo = null;
-        this.currentOverlays = {};
-        this.zIndexCount = 0;
-        this.container = createElement('div', 'lecture-container');
+        /* Loaded from files, which are listed instead. */
+        var transitions = video.scheduler.transitions.filter(function(transition) {
+            return !transition.file && typeof transition.condition !== 'function' &&
+                   !(transition.hotspot && transition.hotspot.callback);
+        });
+
+        function list(sources) {
+            return sources.length > 1 ? sources : sources[0];
+        }
+
+        return {
+            name: video.name,
+            options: video.options,
+            sources: video.sources,
+            subtitles: video.subtitles.map(function(subtitle) {
+                return {language: subtitle.language, src: subtitle.source, label: subtitle.label};
+            }),
+            chapters: video.chapters.filter(function(chapter) {
+                return !chapter.file;
+            }),
+            chapterFile: list(files.chapters),
+            thumbnails: list(files.thumbnails),
+            transitionFile: list(files.transitions),
+            transitions: transitions.filter(function(transition) {
+                return !transition.hotspot;
+            }).map(getManifestTransition),
+            hotspots: transitions.filter(function(transition) {
+                return transition.hotspot;
+            }).map(getManifestTransition),
+        };
     }
 
     /**
-     * Create a Video component.
-     *
-     * A video has:
-     * - one source per available format/encoding.
-     * - one subtitle per supported language.
-     * - as many transitions as necessary.
-     *
-     * A video transition is fired when the video reaches a given time, and
-     * either switches to another video, or shows an overlay.
+     * Describe an overlay as a manifest overlay.
      *
-     * @see Video#addTransition
-     * @memberof Lecture
-     *
-     * @param {string}  name - Video unique name.
-     * @param {object}  [options] - Video configuration options.
-     * @param {boolean} [options.muted=false] - Whether the video is muted.
-     * @param {boolean} [options.markers=true] - Wheter the overlay markers are shown.
-     * @param {string}  [options.controls='show'] - Whether the video controls are shown, hidden, or none.
-     * @param {object}  [options.transition] - Video transitions options.
+     * @param {Overlay} overlay - The overlay.
      *
-     * @return {Video} New Video component.
+     * @return {object} Manifest overlay.
      */
-    Lecture.prototype.addVideo = function(name, options) {
+    function getManifestOverlay(overlay) {
 
-        options = options || {};
-        extend(options, this.options.video);
+        var source = overlay.source;
 
-        return new Video(lecture, name, options);
-    };
+        if (source && typeof source === 'object') {
+            source = source.tagName === 'TEMPLATE' ? source.innerHTML : source.outerHTML;
+        }
+
+        return {
+            name: overlay.name,
+            source: typeof source === 'string' ? source : undefined,
+            quiz: overlay.quiz,
+            options: overlay.options,
+        };
+    }
 
     /**
-     * Create an Overlay component.
+     * Describe the whole lecture as a manifest (see Lecture.fromManifest):
+     * its options, its start video (the manifest start, or else the first
+     * video added), every component with its options, and every transition.
+     * It's called by JSON.stringify, so lectures built in code can be saved,
+     * versioned and diffed.
      *
-     * An overlay is an HTML document that's shown over the video. It can be
-     * used to control the flow of the lecture, or simply present something to
-     * the user in a static format. It has a color background that can be made
-     * transparent.
-     *
-     * An overlay can be static, meaning that the underlaying video will be
-     * paused until there is an overlay transition; or it can be dynamic,
-     * meaning that the video won't be stopped, and the overlay will be
-     * displayed until the video reaches a given time.
-     *
-     * An overlay transition is fired when the doTransition function is called
-     * from an overlay. You can use it to control the flow of the lecture.
+     * Some parts can't be written as JSON, and are left out: predicate
+     * conditions, hotspot callbacks, render function overlay sources and
+     * custom persistence adapters. Transitions loaded from files are listed
+     * as the file URIs.
      *
      * @example
-     * <input type="submit" value="Restart" onclick="doTransition({time: 0})" />
-     *
-     * @see Overlay#doTransition
-     * @memberof Lecture
-     *
-     * @param {string} name - Overlay unique name.
-     * @param {string} source - Overlay HTML source URI.
-     * @param {object} [options] - Overlay configuration options.
-     * @param {number} [options.opacity=1] - Overlay background opacity.
-     * @param {string} [options.background='white'] - Overlay background color.
-     * @param {object} [options.transition] - Overlay transitions options.
-     *
-     * @return {Overlay} New Overlay component.
-     */
-    Lecture.prototype.addOverlay = function(name, source, options) {
-
-        options = options || {};
-        extend(options, this.options.overlay);
-
-        return new Overlay(lecture, name, source, options);
-    };
-
-    /**
-     * Get a lecture component (either a Video or an Overlay) by name.
+     * var manifest = JSON.stringify(lecture, null, 2);
+     * var copy = Lecture.fromManifest(manifest);
      *
      * @memberof Lecture
      *
-     * @param {string} name - Component unique name.
-     *
-     * @return {Video|Overlay} Existing Lecture component, or null if not found.
+     * @return {object} Lecture manifest.
      */
-    Lecture.prototype.getComponent = function(name) {
+    Lecture.prototype.toJSON = function() {
 
-        return this.videos[name] || this.overlays[name] || null;
-    };
+        var lecture = this;
+        var options = {};
 
-    /**
-     * Attach the Lecture container to a given HTML element.
-     *
-     * @memberof Lecture
-     *
-     * @param {string} id - HTML element id.
-     *
-     * @return {Lecture} This lecture, to allow method chaining.
-     */
-    Lecture.prototype.attach = function(id) {
+        extend(options, this.options);
 
-        document.getElementById(id).appendChild(this.container);
-        return this;
-    };
+        if (typeof options.persist === 'object') {
+            delete options.persist;
+        }
 
-    /**
-     * Detect whether we are currently showing a static overlay.
-     *
-     * @see Lecture#Overlay
-     * @memberof Lecture
-     *
-     * @return {boolean} True if we are showing a static overlay.
-     */
-    Lecture.prototype.showingOverlay = function() {
+        var manifest = {
+            options: options,
+            start: this.internal.startVideo || this.internal.firstVideo,
+            videos: Object.keys(this.videos).map(function(name) {
+                return getManifestVideo(lecture.videos[name]);
+            }),
+            overlays: Object.keys(this.overlays).map(function(name) {
+                return getManifestOverlay(lecture.overlays[name]);
+            }),
+        };
 
-        return Object.keys(this.currentOverlays).length >
-               this.currentVideo.transitions.activeCues.length;
+        /* Plain data only. */
+        return JSON.parse(JSON.stringify(manifest));
     };
 
     return Lecture;